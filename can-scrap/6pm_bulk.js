@@ -0,0 +1,169 @@
+/**
+ * 6pm PDP Variant Matrix Extractor (HEADLESS) - bulk
+ * Input: CSV (sku,url)
+ * Output: ONE combined JSON + ONE combined CSV, same files and columns as
+ * 6pm_visible_multiple_product.js (6pm_all_products.json / .csv)
+ *
+ * Production version of the visible script: headless, no slowMo / keepOpen
+ * pauses, and several products at once, each in its own browser context
+ * (separate cookies, so one blocked session doesn't stall the others).
+ * Same color x size walker (sites/6pm.js) and the same journal, so a run
+ * started in visible mode can be resumed here and the other way round.
+ * zappos.com urls work too; the retailer column says which store a row is.
+ *
+ * Usage:
+ *   node 6pm_bulk.js --in ./6pm.csv --out ./out
+ *   node 6pm_bulk.js --in ./6pm.csv --out ./out --contexts 4
+ *   node 6pm_bulk.js --in ./6pm.csv --out ./out --resume        (continue after a crash)
+ *   node 6pm_bulk.js --in ./6pm.csv --out ./out --retry-failed  (redo errored rows)
+ *   node 6pm_bulk.js --in ./6pm.csv --out ./out --db ./history.sqlite
+ *   node 6pm_bulk.js --in ./6pm.csv --out ./out --headed --contexts 1   (debug)
+ *   node 6pm_bulk.js --in ./6pm.csv --out ./out --matrixFrom click
+ *
+ * --contexts: browser contexts (= products in flight). 6pm starts answering
+ * with CAPTCHA pages above ~4; lower it if rows fail with CAPTCHA.
+ *
+ * --matrixFrom auto|state|click: build the matrix from the page's embedded
+ * product state (one load per product), by clicking every size, or state
+ * with click as the fallback (default). See sites/6pm.js.
+ *
+ * Output files:
+ *   ./out/6pm_all_products.json
+ *   ./out/6pm_all_products.csv
+ *   ./out/6pm_all_products.journal.jsonl (checkpoint, see lib/journal.js)
+ */
+
+import path from "path";
+import { createContextPool } from "./lib/browser.js";
+import { openCassette, printCassetteSummary } from "./lib/cassette.js";
+import { readInputCSV } from "./lib/csv.js";
+import { appendToHistory } from "./lib/history.js";
+import { journalKey, openJournal } from "./lib/journal.js";
+import { writeFlatOutputs } from "./lib/run.js";
+import { ensureDir, mapLimit } from "./lib/util.js";
+import {
+  DEFAULTS as SITE_DEFAULTS,
+  buildBulkCSV,
+  scrapeOneProduct,
+  toVariants,
+} from "./sites/6pm.js";
+
+const DEFAULTS = {
+  ...SITE_DEFAULTS,
+  inFile: "./input.csv",
+  outDir: "./out",
+  headless: true,
+  contexts: 3, // products in flight, one browser context each
+  resume: false, // skip products already in the journal
+  retryFailed: false, // redo only products that failed last time
+  db: "", // optional SQLite history file (lib/history.js)
+  record: "", // cassette dir: save every request / response (lib/cassette.js)
+  replay: "", // cassette dir: serve recorded responses, no network
+};
+
+function parseArgs(argv) {
+  const args = { ...DEFAULTS };
+  const rest = argv.slice(2);
+
+  for (let i = 0; i < rest.length; i++) {
+    const a = rest[i];
+    if (a === "--in") args.inFile = rest[++i] || args.inFile;
+    else if (a === "--out") args.outDir = rest[++i] || args.outDir;
+    else if (a === "--contexts")
+      args.contexts = Number(rest[++i] || args.contexts);
+    else if (a === "--headed") args.headless = false;
+    else if (a === "--matrixFrom")
+      args.matrixFrom = rest[++i] || args.matrixFrom;
+    else if (a === "--timeoutMs")
+      args.timeoutMs = Number(rest[++i] || args.timeoutMs);
+    else if (a === "--resume") args.resume = true;
+    else if (a === "--retry-failed") args.retryFailed = true;
+    else if (a === "--db") args.db = rest[++i] || args.db;
+    else if (a === "--record") args.record = rest[++i] || args.record;
+    else if (a === "--replay") args.replay = rest[++i] || args.replay;
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  ensureDir(args.outDir);
+
+  const items = readInputCSV(args.inFile).map((r) => ({
+    input_sku: r.sku,
+    url: r.url,
+  }));
+  if (!items.length) {
+    console.error("No rows found in input CSV.");
+    process.exit(2);
+  }
+
+  const journal = openJournal(
+    path.join(args.outDir, "6pm_all_products.journal.jsonl"),
+    args,
+  );
+  const keyOf = (item) => journalKey({ sku: item.input_sku, url: item.url });
+  const pending = journal.pending(items, keyOf);
+  console.error(
+    `Journal: ${items.length - pending.length} rows reused, ${pending.length} to run`,
+  );
+
+  const cassette = openCassette(args);
+  const pool = createContextPool({
+    headless: args.headless,
+    size: args.contexts,
+    cassette,
+  });
+
+  const started = Date.now();
+  try {
+    await mapLimit(pending, args.contexts, (item) =>
+      pool.withPage(async (page) => {
+        try {
+          const product = await scrapeOneProduct(page, item, args);
+          journal.record(keyOf(item), true, { product });
+        } catch (e) {
+          console.error("❌ Failed:", item.url, String(e?.message || e));
+          journal.record(keyOf(item), false, {
+            product: null,
+            errorRow: {
+              input_sku: item.input_sku,
+              url: item.url,
+              error: String(e?.message || e),
+            },
+          });
+        }
+      }),
+    );
+  } finally {
+    await pool.close();
+  }
+
+  const { products, failed, rows, jsonPath, csvPath } = writeFlatOutputs({
+    outDir: args.outDir,
+    name: "6pm_all_products",
+    results: journal.results(items, keyOf),
+    toCSV: buildBulkCSV,
+  });
+
+  const minutes = ((Date.now() - started) / 60000).toFixed(1);
+  console.error(`Products OK   : ${products.length}`);
+  console.error(`Products Fail : ${failed.length}`);
+  console.error(`CSV Rows      : ${rows.length}`);
+  console.error(`Took          : ${minutes} min (${args.contexts} contexts)`);
+  console.error(`Saved JSON    : ${jsonPath}`);
+  console.error(`Saved CSV     : ${csvPath}`);
+
+  if (args.db) {
+    const added = await appendToHistory(args.db, products.flatMap(toVariants));
+    console.error(`History Rows  : ${added} -> ${args.db}`);
+  }
+
+  printCassetteSummary(cassette);
+  if (cassette?.stats.missing.length) process.exitCode = 1;
+}
+
+main().catch((e) => {
+  console.error("Fatal:", e);
+  process.exit(1);
+});
@@ -1,16 +1,40 @@
-const axios = require("axios");
+// Probe which fetch provider gets through for a url (lib/fetch.js).
+//
+// node ScraperAPI.js [url] [chain]
+// SCRAPERAPI_KEY=... node ScraperAPI.js https://www.coachoutlet.com/api/products/turner-flap-crossbody-bag/CCQ52.html scraperapi_premium,scraperapi_ultra_render
 
-const API_KEY = "a089a1e20a5c377aea41f6a713782a43";
+import { classifyResponse } from "./lib/block.js";
+import { createFetcher, parseChain, PROVIDERS } from "./lib/fetch.js";
+
+const API_KEY =
+  process.env.SCRAPERAPI_KEY || "a089a1e20a5c377aea41f6a713782a43";
 const TARGET_URL =
+  process.argv[2] ||
   "https://www.michaelkors.com/carson-large-signature-logo-convertible-crossbody-bag/35S5S2ZC7B.html";
+const CHAIN = process.argv[3]
+  ? parseChain(process.argv[3])
+  : Object.keys(PROVIDERS).filter((name) => name !== "browser");
 
 (async () => {
-  const url = `http://api.scraperapi.com?api_key=${API_KEY}&url=${encodeURIComponent(
-    TARGET_URL
-  )}&country_code=us`;
-
-  const res = await axios.get(url);
-
-  console.log("Final URL:", res.request.res.responseUrl);
-  console.log("HTML length:", res.data.length);
+  // one provider at a time, no escalation: we want every result
+  for (const name of CHAIN) {
+    const fetcher = createFetcher({
+      fetchChain: [name],
+      scraperApiKey: API_KEY,
+      timeoutMs: 25000,
+      retries: 0,
+      retryDelayMs: 0,
+    });
+    try {
+      const html = await fetcher.text(TARGET_URL);
+      const reason = classifyResponse({
+        status: 200,
+        url: TARGET_URL,
+        body: html,
+      });
+      console.log(`${name}: ${reason}, ${html.length} bytes`);
+    } catch (e) {
+      console.log(`${name}: ${e?.reason || "FAILED"} ${e?.message}`);
+    }
+  }
 })();
@@ -1,99 +1,466 @@
-// npm i playwright
-// node can-scrap.js
-// HEADLESS=1 node can-scrap.js
-
-/*
-Access Denied
-https://www.katespadeoutlet.com/products/kendall-jelly-t-strap-sandal/KL418-403.html
-https://www.coachoutlet.com/products/snap-wallet/C2862.html?frp=C2862%20IMBLK
-https://www.neimanmarcus.com/p/emporio-armani-basic-flat-front-wool-trousers-prod205630312?childItemId=NMN5460_&navpath=cat000000_cat000470_cat14120827&page=0&position=88
-https://www.katespadeoutlet.com/products/picnic-woven-ruffle-midi-dress/KC382.html?frp=KC382%20VK3%20%20S
-https://www.saksoff5th.com/product/hugo-regular-fit-jeans-0400011091791.html
-
-Need Login
-https://eic.giglio.com/eng/shoes-men_sneakers-kenzo-fd55sn020f73.html?cSel=002
-https://b2b.italjapan.it/product/JC1L312L0015
-
-Open In Browser
-https://www.6pm.com/p/womens-calvin-klein-presley-black/product/10008224/color/3
-https://www.ashford.com/ferragamo-sf1012s-214.html
-https://www.belk.com/p/lucky-brand-venice-burnout-v-neck-t-shirt/32039537M62750.html
-https://betseyjohnson.com/collections/handbags/products/bj35440n-pink
-https://www.b-exit.com/hi-in/products/versace-jeans-stivaletti-couture-donna-camoscio-marrone-cognac-f65407-718-4287?variant=45321324593417
-https://www.dillards.com/p/givenchy-rose-gold-stud-earrings/503497959
-https://www.glamood.com/catalog.htm?search=P323003
-https://www.dsw.com/product/betsey-johnson-nakia-sandal/570429?activeColor=713
-https://www.ebay.com/itm/204453106824?_skw=ralph+lauren+earrings&itmmeta=01JRJ5VJYVVMKZ7QCCS1S9C1FM&hash=item2f9a5ad488%3Ag%3AwgAAAOSwyXdk-Pvs&LH_ItemCondition=3
-https://factory.jcrew.com/p/mens/categories/clothing/tees/v-neck-tees/washed-jersey-v-neck-tee/F0910?display=standard&fit=Classic&colorProductCode=F0910
-https://www.fashionrooms.com/en/men/shoes/boots/dolce-gabbana/all-weather-siracusa-boots-brown?c=28
-https://www.jomashop.com/marc-jacobs-the-cuff-quartz-ladies-watch-mj0120190883.html
-https://www.macys.com/shop/product/michael-michael-kors-logo-mini-nylon-crossbody-with-webbing-strap?ID=16401832
-https://www.michaelkors.global/in/en/jet-set-medium-pebbled-leather-crossbody-bag/32F7GGNM8L.html?astc=true&dwvar_32F7GGNM8L_color=0001
-https://www.nordstromrack.com/s/ugg-alder-faux-shearling-lined-suede-slipper-men/6039754
-https://poshmark.com/listing/True-Religion-Mens-Monogram-Boxer-Brief-Underwear-in-Red-5d73ded653f5e71d4a18b9b4
-https://www.ralphlauren.com/men-accessories-bags/tiger-patch-camo-canvas-waistpack/631377.html?cgid=men-accessories-bags
-https://www.rebeccaminkoff.com/collections/handbags/products/amour-top-handle-satchel-ch24iamsat-nude
-https://www.stockfirmati.com/d/557/karl-lagerfeld-beachwear/sea/donna/karl-lagerfeld-beachwear-costume-intero-donna-nero
-https://www.strikecalzature.it/shop/donna/stivaletti-bassi-donna/balmain-donna-stivaletto-aperto-in-punta-tima-con-hardware-dorato/
-https://b2b.timeshop24.com/versace-vehc00519-virtus.html
-https://ventutto.com/collections/sunglasses-for-her/products/calvin-klein-ck2161s-060-shiny-gunmetal-round-sunglasses
-https://poshmark.com/listing/True-Religion-Mens-Geno-Slim-Fit-Jeans-in-Boost-Blue-5dc5c3d395676b58102a8740
-
-*/
-const fs = require("fs");
-const { chromium } = require("playwright");
-
-const URL =
-  "https://www.michaelkors.global/in/en/jet-set-medium-pebbled-leather-crossbody-bag/32F7GGNM8L.html?astc=true&dwvar_32F7GGNM8L_color=0001";
+/**
+ * Site reachability audit
+ * Input: CSV of urls (url column, optional group column) and/or --url flags
+ * Output: ONE JSON + ONE CSV report, one row per (url, mode), plus screenshots
+ *
+ * Loads every url in each mode and records what came back, so the
+ * "can we scrape this retailer?" call is reproducible:
+ *   headless             Playwright, headless Chromium
+ *   headed               Playwright, visible Chromium (needs a display)
+ *   headless_scraperapi  headless Chromium through the ScraperAPI proxy port
+ *   headed_scraperapi    visible Chromium through the ScraperAPI proxy port
+ *   direct               plain HTTP GET from this machine
+ *   scraperapi           ScraperAPI premium + render
+ * (all *scraperapi* modes need SCRAPERAPI_KEY)
+ *
+ * Per row: HTTP status, final url, page title, block classification
+ * (lib/block.js), screenshot path and which of the key PDP selectors
+ * exist. Browser modes shoot the live page; the HTTP modes shoot the HTML
+ * they got back, rendered with scripts off, so a block page can be looked
+ * at next to its classification. The JSON also has a per-domain summary with the
+ * cheapest mode that returned a usable PDP.
+ *
+ * audit_urls.csv holds the retailers checked so far, grouped the way they
+ * were sorted by hand (access_denied / need_login / open_in_browser).
+ *
+ * Usage:
+ *   node can-scrap.js                                   (audit_urls.csv, all modes)
+ *   node can-scrap.js --in ./audit_urls.csv --modes headless,direct
+ *   node can-scrap.js --url https://www.dsw.com/product/... --modes headless,headed
+ *   SCRAPERAPI_KEY=... node can-scrap.js --modes direct,scraperapi
+ *   SCRAPERAPI_KEY=... node can-scrap.js --modes headless,headless_scraperapi
+ *
+ * Output files:
+ *   ./out/audit.json
+ *   ./out/audit.csv
+ *   ./out/audit/<domain>_<n>_<mode>.png
+ */
 
-async function main() {
-  const headless = process.env.HEADLESS === "1";
-
-  const browser = await chromium.launch({
-    headless,
-    args: ["--disable-blink-features=AutomationControlled", "--no-sandbox"],
-  });
-
-  const context = await browser.newContext({
-    viewport: { width: 1366, height: 768 },
-    locale: "en-US",
-    timezoneId: "America/New_York",
-    userAgent:
-      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-    extraHTTPHeaders: {
-      "accept-language": "en-US,en;q=0.9",
-    },
-  });
+import fs from "fs";
+import path from "path";
+import * as cheerio from "cheerio";
+import { BLOCK, classifyResponse } from "./lib/block.js";
+import { launchBrowser, newDesktopContext } from "./lib/browser.js";
+import { readCSVRows, rowsToCSV } from "./lib/csv.js";
+import { scraperApiProxy, scraperApiUrl } from "./lib/fetch.js";
+import { USER_AGENT } from "./lib/http.js";
+import { ensureDir, mapLimit } from "./lib/util.js";
+import { hostnameOf } from "./sites/index.js";
+
+// browser modes: visible or not, through the ScraperAPI proxy or not
+const BROWSER_MODES = {
+  headless: { headless: true, proxy: false },
+  headed: { headless: false, proxy: false },
+  headless_scraperapi: { headless: true, proxy: true },
+  headed_scraperapi: { headless: false, proxy: true },
+};
+const MODES = [...Object.keys(BROWSER_MODES), "direct", "scraperapi"];
+
+const SCRAPERAPI_TIMEOUT_MS = 70000;
+
+// what a PDP we could extract from has; generic on purpose (new retailers)
+const PDP_SELECTORS = {
+  title: "h1",
+  price: '[itemprop="price"], [class*="price" i], [data-qa*="price" i]',
+  add_to_cart:
+    '[class*="add-to-cart" i], [class*="add-to-bag" i], [data-qa*="add_to_bag" i], button[name*="add" i], #add-to-cart',
+  size: '[class*="size" i] button, [class*="size" i] input, select[name*="size" i]',
+  color: '[class*="swatch" i], [class*="color" i] input, [data-qa*="swatch" i]',
+  json_ld: 'script[type="application/ld+json"]',
+};
+
+const HEADERS = [
+  "domain",
+  "group",
+  "url",
+  "mode",
+  "status",
+  "final_url",
+  "title",
+  "classification",
+  "pdp_selectors_found",
+  ...Object.keys(PDP_SELECTORS).map((k) => `has_${k}`),
+  "screenshot",
+  "error",
+];
+
+const DEFAULTS = {
+  inFile: "./audit_urls.csv",
+  urls: [],
+  outDir: "./out",
+  modes: MODES,
+  concurrency: 2, // urls in flight per mode
+  timeoutMs: 45000,
+  settleMs: 3000, // after load, for client-rendered PDPs
+};
+
+function parseArgs(argv) {
+  const args = { ...DEFAULTS, urls: [] };
+  const rest = argv.slice(2);
+
+  for (let i = 0; i < rest.length; i++) {
+    const a = rest[i];
+    if (a === "--in") args.inFile = rest[++i] || args.inFile;
+    else if (a === "--url") args.urls.push(rest[++i] || "");
+    else if (a === "--out") args.outDir = rest[++i] || args.outDir;
+    else if (a === "--modes")
+      args.modes = String(rest[++i] || "")
+        .split(",")
+        .map((m) => m.trim())
+        .filter(Boolean);
+    else if (a === "--concurrency")
+      args.concurrency = Number(rest[++i] || args.concurrency);
+    else if (a === "--timeoutMs")
+      args.timeoutMs = Number(rest[++i] || args.timeoutMs);
+    else if (a === "--settleMs")
+      args.settleMs = Number(rest[++i] || args.settleMs);
+  }
+  // --url alone audits just those urls
+  if (args.urls.length && !rest.includes("--in")) args.inFile = null;
+  return args;
+}
 
+function readTargets(args) {
+  const targets = args.inFile
+    ? readCSVRows(args.inFile).map((r) => ({
+        group: r.group || "",
+        url: (r.url || "").trim(),
+      }))
+    : [];
+  for (const url of args.urls) targets.push({ group: "", url: url.trim() });
+  return targets.filter((t) => t.url);
+}
+
+/**
+ * OK with none of the PDP selectors present is not a page we can use.
+ */
+function finalClassification(reason, found) {
+  if (reason === BLOCK.OK && !Object.values(found).some(Boolean)) {
+    return BLOCK.EMPTY_RENDER;
+  }
+  return reason;
+}
+
+async function auditWithBrowser(context, target, shotPath, args) {
   const page = await context.newPage();
+  try {
+    const res = await page.goto(target.url, {
+      waitUntil: "domcontentloaded",
+      timeout: args.timeoutMs,
+    });
+    await page.waitForLoadState("networkidle").catch(() => {});
+    await page.waitForTimeout(args.settleMs);
+
+    const found = {};
+    for (const [k, sel] of Object.entries(PDP_SELECTORS)) {
+      found[k] =
+        (await page
+          .locator(sel)
+          .count()
+          .catch(() => 0)) > 0;
+    }
+    await page.screenshot({ path: shotPath, fullPage: false }).catch(() => {});
+
+    const status = res?.status() ?? null;
+    const finalUrl = page.url();
+    const body = await page.content().catch(() => "");
+    return {
+      status,
+      final_url: finalUrl,
+      title: await page.title().catch(() => ""),
+      classification: finalClassification(
+        classifyResponse({ status, url: target.url, finalUrl, body }),
+        found,
+      ),
+      found,
+      screenshot: shotPath,
+    };
+  } finally {
+    await page.close().catch(() => {});
+  }
+}
+
+/**
+ * Screenshots for the HTTP modes: the body is rendered in ONE lazily
+ * started headless context with scripts off, a <base> pointing at the
+ * target so css / images resolve. No Chromium -> no screenshot ("").
+ */
+function createSnapshots(args) {
+  let starting = null;
+
+  async function start() {
+    const browser = await launchBrowser({ headless: true });
+    const context = await newDesktopContext(browser, {
+      javaScriptEnabled: false,
+    });
+    return { browser, context };
+  }
+
+  return {
+    async take(body, baseUrl, shotPath) {
+      try {
+        starting = starting || start();
+        const { context } = await starting;
+        const page = await context.newPage();
+        try {
+          const base = `<base href="${baseUrl.replace(/"/g, "&quot;")}">`;
+          const html = /<head[^>]*>/i.test(body)
+            ? body.replace(/<head[^>]*>/i, (m) => m + base)
+            : base + body;
+          await page.setContent(html, {
+            waitUntil: "load",
+            timeout: args.timeoutMs,
+          });
+          await page.screenshot({ path: shotPath, fullPage: false });
+          return shotPath;
+        } finally {
+          await page.close().catch(() => {});
+        }
+      } catch (_) {
+        return "";
+      }
+    },
+    async close() {
+      const started = await starting?.catch(() => null);
+      await started?.browser.close().catch(() => {});
+    },
+  };
+}
+
+async function auditWithHttp(requestUrl, target, args, shot) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), args.timeoutMs);
+  try {
+    const res = await fetch(requestUrl, {
+      headers: {
+        accept: "text/html,application/xhtml+xml,*/*",
+        "accept-language": "en-US,en;q=0.9",
+        "user-agent": USER_AGENT,
+      },
+      signal: controller.signal,
+    });
+    const body = await res.text().catch(() => "");
+    const $ = cheerio.load(body);
+
+    const found = {};
+    for (const [k, sel] of Object.entries(PDP_SELECTORS)) {
+      found[k] = $(sel).length > 0;
+    }
+    // ScraperAPI does not expose the target's final url
+    const finalUrl = requestUrl === target.url ? res.url : "";
+    return {
+      status: res.status,
+      final_url: finalUrl,
+      title: $("title").first().text().trim(),
+      classification: finalClassification(
+        classifyResponse({
+          status: res.status,
+          url: target.url,
+          finalUrl: finalUrl || target.url,
+          body,
+        }),
+        found,
+      ),
+      found,
+      screenshot: await shot.snapshots.take(body, target.url, shot.path),
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function toRow(target, mode, r, error = "") {
+  const found = r?.found || {};
+  const row = {
+    domain: hostnameOf(target.url) || "",
+    group: target.group,
+    url: target.url,
+    mode,
+    status: r?.status ?? "",
+    final_url: r?.final_url ?? "",
+    title: r?.title ?? "",
+    classification: r?.classification ?? "",
+    pdp_selectors_found: Object.values(found).filter(Boolean).length,
+    screenshot: r?.screenshot ?? "",
+    error,
+  };
+  for (const k of Object.keys(PDP_SELECTORS)) row[`has_${k}`] = found[k] ?? "";
+  return row;
+}
+
+async function runMode(mode, targets, args, { shotDir, snapshots }) {
+  const shotPath = (t, i) =>
+    path.join(shotDir, `${hostnameOf(t.url) || "url"}_${i + 1}_${mode}.png`);
+  const apiKey = process.env.SCRAPERAPI_KEY;
+  const proxied = mode === "scraperapi" || BROWSER_MODES[mode]?.proxy;
+  if (proxied && !apiKey) {
+    console.error(`[${mode}] SCRAPERAPI_KEY not set, skipping mode`);
+    return targets.map((t) => toRow(t, mode, null, "SCRAPERAPI_KEY not set"));
+  }
+
+  const rowFor = async (target, i, audit) => {
+    try {
+      const r = await audit(target, i);
+      console.error(`[${mode}] ${r.classification} ${r.status} ${target.url}`);
+      return toRow(target, mode, r);
+    } catch (e) {
+      console.error(`[${mode}] failed ${target.url}:`, e?.message);
+      return toRow(target, mode, null, String(e?.message || e));
+    }
+  };
+
+  if (mode === "direct") {
+    return mapLimit(targets, args.concurrency, (t, i) =>
+      rowFor(t, i, () =>
+        auditWithHttp(t.url, t, args, { path: shotPath(t, i), snapshots }),
+      ),
+    );
+  }
+
+  if (mode === "scraperapi") {
+    return mapLimit(targets, args.concurrency, (t, i) =>
+      rowFor(t, i, () =>
+        auditWithHttp(
+          scraperApiUrl(t.url, {
+            apiKey,
+            premium: true,
+            render: true,
+            country_code: "us",
+          }),
+          t,
+          {
+            ...args,
+            timeoutMs: Math.max(args.timeoutMs, SCRAPERAPI_TIMEOUT_MS),
+          },
+          { path: shotPath(t, i), snapshots },
+        ),
+      ),
+    );
+  }
+
+  const { headless, proxy } = BROWSER_MODES[mode];
+  const browserArgs = proxy
+    ? { ...args, timeoutMs: Math.max(args.timeoutMs, SCRAPERAPI_TIMEOUT_MS) }
+    : args;
+  let browser;
+  try {
+    browser = await launchBrowser({
+      headless,
+      proxy: proxy
+        ? scraperApiProxy({ apiKey, country_code: "us" })
+        : undefined,
+    });
+  } catch (e) {
+    const error = `Browser launch failed: ${String(e?.message || e)}`;
+    console.error(`[${mode}] ${error}`);
+    return targets.map((t) => toRow(t, mode, null, error));
+  }
+  try {
+    // the proxy answers HTTPS with its own certificate
+    const context = await newDesktopContext(
+      browser,
+      proxy ? { ignoreHTTPSErrors: true } : {},
+    );
+    return await mapLimit(targets, args.concurrency, (t, i) =>
+      rowFor(t, i, () =>
+        auditWithBrowser(context, t, shotPath(t, i), browserArgs),
+      ),
+    );
+  } finally {
+    await browser.close().catch(() => {});
+  }
+}
+
+/**
+ * domain -> { classification per mode, cheapest mode with a usable PDP }
+ */
+function summarizeByDomain(rows, modes) {
+  const byDomain = {};
+  for (const r of rows) {
+    const d = (byDomain[r.domain] = byDomain[r.domain] || {
+      domain: r.domain,
+      group: r.group,
+      modes: {},
+      works_with: null,
+    });
+    d.modes[r.mode] = d.modes[r.mode] || [];
+    d.modes[r.mode].push(r.error ? "ERROR" : r.classification);
+  }
+  // cheapest first: plain HTTP beats a browser beats paid credits
+  const order = [
+    "direct",
+    "headless",
+    "headed",
+    "headless_scraperapi",
+    "headed_scraperapi",
+    "scraperapi",
+  ].filter((m) => modes.includes(m));
+  for (const d of Object.values(byDomain)) {
+    d.works_with =
+      order.find((m) => d.modes[m]?.every((c) => c === BLOCK.OK)) || null;
+  }
+  return Object.values(byDomain);
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  const unknown = args.modes.filter((m) => !MODES.includes(m));
+  if (unknown.length || !args.modes.length) {
+    console.error(
+      `Unknown --modes ${unknown.join(",")} (use: ${MODES.join(", ")})`,
+    );
+    process.exit(2);
+  }
 
-  let mainStatus = "NA";
-  page.on("response", (res) => {
-    if (res.url() === page.url()) mainStatus = String(res.status());
-  });
+  const targets = readTargets(args);
+  if (!targets.length) {
+    console.error("No urls to audit (use --in <csv> or --url <url>).");
+    process.exit(2);
+  }
 
-  await page.goto(URL, { waitUntil: "domcontentloaded" });
-  await page.waitForLoadState("networkidle").catch(() => {});
+  ensureDir(args.outDir);
+  const shotDir = path.join(args.outDir, "audit");
+  ensureDir(shotDir);
 
-  // Save debug files
-  await page
-    .screenshot({ path: "can-scrap.png", fullPage: true })
-    .catch(() => {});
-  const html = await page.content().catch(() => "");
-  fs.writeFileSync("can-scrap.html", html, "utf8");
+  // one mode at a time: headed + headless side by side trips rate limits
+  const rows = [];
+  const snapshots = createSnapshots(args);
+  try {
+    for (const mode of args.modes) {
+      rows.push(
+        ...(await runMode(mode, targets, args, { shotDir, snapshots })),
+      );
+    }
+  } finally {
+    await snapshots.close();
+  }
 
-  const finalUrl = page.url();
-  const title = await page.title().catch(() => "");
+  const domains = summarizeByDomain(rows, args.modes);
 
-  console.log("Final URL:", finalUrl);
-  console.log("Page Title:", title);
-  console.log("Main Status:", mainStatus);
-  console.log("Saved: can-scrap.png, can-scrap.html");
+  const jsonPath = path.join(args.outDir, "audit.json");
+  fs.writeFileSync(
+    jsonPath,
+    JSON.stringify(
+      {
+        audited_at: new Date().toISOString(),
+        modes: args.modes,
+        domains,
+        results: rows,
+      },
+      null,
+      2,
+    ),
+    "utf-8",
+  );
 
-  console.log("Browser will stay open for 20 seconds...");
-  await page.waitForTimeout(20000);
+  const csvPath = path.join(args.outDir, "audit.csv");
+  fs.writeFileSync(csvPath, rowsToCSV(HEADERS, rows), "utf-8");
 
-  await browser.close();
+  for (const d of domains) {
+    console.error(`${d.domain.padEnd(28)}: ${d.works_with || "BLOCKED"}`);
+  }
+  console.error(`Saved JSON    : ${jsonPath}`);
+  console.error(`Saved CSV     : ${csvPath}`);
 }
 
 main().catch((e) => {
@@ -0,0 +1,112 @@
+/**
+ * Bulk Coach Outlet Variation Extractor
+ * Input: CSV (sku,url) - same format as mk_matrix_v5.js
+ * Output: ONE combined JSON + ONE combined CSV (canonical variant rows)
+ *
+ * The style in each PDP url (frp=<style> <color>, e.g. frp=CCQ52+QBOLV)
+ * is resolved through the site's /api/products JSON to its full
+ * color x size matrix with price, availability and CTA.
+ *
+ * Usage:
+ *   node coach_matrix.js --in ./input.csv --out ./out
+ *   node coach_matrix.js --in ./input.csv --out ./out --resume        (continue after a crash)
+ *   node coach_matrix.js --in ./input.csv --out ./out --retry-failed  (redo errored rows)
+ *   node coach_matrix.js --in ./input.csv --out ./out --db ./history.sqlite (append to price history)
+ *   node coach_matrix.js --in ./input.csv --out ./out --record ./cassettes/coach   (replay: --replay <dir>, see lib/cassette.js)
+ *   SCRAPERAPI_KEY=... node coach_matrix.js ... --chain direct,scraperapi_premium  (see lib/fetch.js)
+ *
+ * Output files:
+ *   ./out/coach_bulk.json
+ *   ./out/coach_bulk.csv
+ *   ./out/coach_bulk.journal.jsonl (checkpoint, see lib/journal.js)
+ */
+
+import { openCassette, printCassetteSummary } from "./lib/cassette.js";
+import { readInputCSV } from "./lib/csv.js";
+import {
+  journalPath,
+  printSummary,
+  runBulk,
+  writeBulkOutputs,
+} from "./lib/run.js";
+import { openJournal } from "./lib/journal.js";
+import { parseChain } from "./lib/fetch.js";
+import { appendToHistory } from "./lib/history.js";
+import { ensureDir } from "./lib/util.js";
+import * as coachoutlet from "./sites/coachoutlet.js";
+import { onlyAdapter } from "./sites/index.js";
+
+const DEFAULTS = {
+  inFile: "./input.csv",
+  outDir: "./out",
+  resume: false, // skip rows already in the journal
+  retryFailed: false, // redo only rows that failed last time
+  db: "", // optional SQLite history file (lib/history.js)
+  record: "", // cassette dir: save every request / response (lib/cassette.js)
+  replay: "", // cassette dir: serve recorded responses, no network
+  productConcurrency: 4,
+};
+
+function parseArgs(argv) {
+  const args = { ...DEFAULTS, siteArgs: {} };
+  const rest = argv.slice(2);
+
+  for (let i = 0; i < rest.length; i++) {
+    const a = rest[i];
+    if (a === "--in") args.inFile = rest[++i] || args.inFile;
+    else if (a === "--resume") args.resume = true;
+    else if (a === "--retry-failed") args.retryFailed = true;
+    else if (a === "--out") args.outDir = rest[++i] || args.outDir;
+    else if (a === "--db") args.db = rest[++i] || args.db;
+    else if (a === "--record") args.record = rest[++i] || args.record;
+    else if (a === "--replay") args.replay = rest[++i] || args.replay;
+    else if (a === "--productConcurrency")
+      args.productConcurrency = Number(rest[++i] || args.productConcurrency);
+    else if (a === "--timeoutMs") args.siteArgs.timeoutMs = Number(rest[++i]);
+    else if (a === "--retries") args.siteArgs.retries = Number(rest[++i]);
+    else if (a === "--chain") args.siteArgs.fetchChain = parseChain(rest[++i]);
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  ensureDir(args.outDir);
+
+  const items = readInputCSV(args.inFile);
+  if (!items.length) {
+    console.error("No rows found in input CSV.");
+    process.exit(2);
+  }
+
+  const cassette = openCassette(args);
+  const ctx = { args: { ...args.siteArgs, cassette } };
+
+  const processed = await runBulk({
+    items,
+    resolveAdapter: onlyAdapter(coachoutlet),
+    ctx,
+    productConcurrency: args.productConcurrency,
+    journal: openJournal(journalPath(args.outDir, "coach_bulk"), args),
+  });
+
+  const outputs = writeBulkOutputs({
+    outDir: args.outDir,
+    name: "coach_bulk",
+    processed,
+  });
+  printSummary(processed, outputs);
+
+  if (args.db) {
+    const added = await appendToHistory(args.db, outputs.valid);
+    console.error(`History Rows  : ${added} -> ${args.db}`);
+  }
+
+  printCassetteSummary(cassette);
+  if (cassette?.stats.missing.length) process.exitCode = 1;
+}
+
+main().catch((e) => {
+  console.error("Fatal:", e);
+  process.exit(1);
+});
@@ -0,0 +1,92 @@
+/**
+ * Price + stock change report between two runs
+ * Input: two run output files (old, new) - any layout lib/runfile.js reads
+ *        (scrape.csv, ks_bulk.csv, coach_bulk.csv, mk bulk.json, 6pm json ...)
+ * Output: ONE JSON + ONE CSV of changes
+ *
+ * Variants are matched by (retailer, pid, color_id, size_id) and reported as
+ * new / removed, price drop / increase (with %), restock / sold out.
+ *
+ * Usage:
+ *   node diff_runs.js --old ./out/2024-05-01/bulk.json --new ./out/bulk.json --out ./out
+ *
+ * Output files:
+ *   ./out/diff.json
+ *   ./out/diff.csv
+ */
+
+import fs from "fs";
+import path from "path";
+import { rowsToCSV } from "./lib/csv.js";
+import { DIFF_FIELDS, diffRuns } from "./lib/diff.js";
+import { loadRunVariants } from "./lib/runfile.js";
+import { ensureDir } from "./lib/util.js";
+
+const DEFAULTS = {
+  oldFile: null,
+  newFile: null,
+  outDir: "./out",
+  name: "diff",
+};
+
+function parseArgs(argv) {
+  const args = { ...DEFAULTS };
+  const rest = argv.slice(2);
+
+  for (let i = 0; i < rest.length; i++) {
+    const a = rest[i];
+    if (a === "--old") args.oldFile = rest[++i] || null;
+    else if (a === "--new") args.newFile = rest[++i] || null;
+    else if (a === "--out") args.outDir = rest[++i] || args.outDir;
+    else if (a === "--name") args.name = rest[++i] || args.name;
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  if (!args.oldFile || !args.newFile) {
+    console.error(
+      "Usage: node diff_runs.js --old <file> --new <file> [--out ./out]",
+    );
+    process.exit(2);
+  }
+  ensureDir(args.outDir);
+
+  const oldVariants = loadRunVariants(args.oldFile);
+  const newVariants = loadRunVariants(args.newFile);
+  const { summary, changes } = diffRuns(oldVariants, newVariants);
+
+  const jsonPath = path.join(args.outDir, `${args.name}.json`);
+  fs.writeFileSync(
+    jsonPath,
+    JSON.stringify(
+      {
+        generated_at: new Date().toISOString(),
+        old: args.oldFile,
+        new: args.newFile,
+        summary,
+        changes,
+      },
+      null,
+      2,
+    ),
+    "utf-8",
+  );
+
+  const csvPath = path.join(args.outDir, `${args.name}.csv`);
+  fs.writeFileSync(csvPath, rowsToCSV(DIFF_FIELDS, changes), "utf-8");
+
+  console.error(`Old Variants   : ${oldVariants.length}`);
+  console.error(`New Variants   : ${newVariants.length}`);
+  for (const [type, n] of Object.entries(summary)) {
+    console.error(`${type.padEnd(15)}: ${n}`);
+  }
+  console.error(`Saved JSON     : ${jsonPath}`);
+  console.error(`Saved CSV      : ${csvPath}`);
+}
+
+main().catch((e) => {
+  console.error("Fatal:", e);
+  process.exit(1);
+});
@@ -0,0 +1,205 @@
+/**
+ * Selector health check (markup drift)
+ * Input: canary CSV (sku,url) - a couple of known-good PDPs per site
+ * Output: ONE JSON + ONE CSV report, one row per retailer
+ *
+ * Every canary goes through its normal site adapter (same code path as
+ * scrape.js) and, for sites with a selector config (sites/selectors/), the
+ * PDP is loaded once more to count the matches of every configured
+ * selector. Per retailer the report says which fields matched nothing, the
+ * null price / null availability rate of the extracted rows, and whether
+ * the site is "ok" or "degraded" (see lib/health.js).
+ *
+ * Meant to run every morning before the bulk runs; exits with code 3 when
+ * any site is degraded so cron / CI can alert on it.
+ *
+ * Usage:
+ *   node health_check.js
+ *   node health_check.js --in ./canaries.csv --threshold 0.2
+ *   node health_check.js --site 6pm --headed
+ *
+ * Output files:
+ *   ./out/health.json
+ *   ./out/health.csv
+ */
+
+import fs from "fs";
+import path from "path";
+import { createPagePool } from "./lib/browser.js";
+import { readInputCSV, rowsToCSV } from "./lib/csv.js";
+import { parseChain } from "./lib/fetch.js";
+import { HEALTH, probeSelectors, siteHealth } from "./lib/health.js";
+import { extractWith } from "./lib/run.js";
+import { listSelectorConfigs, loadSelectors } from "./lib/selectors.js";
+import { ensureDir } from "./lib/util.js";
+import { adapterFor } from "./sites/index.js";
+
+const HEADERS = [
+  "retailer",
+  "status",
+  "canaries",
+  "extracted",
+  "pages_probed",
+  "rows",
+  "null_price_rate",
+  "null_availability_rate",
+  "missing_fields",
+  "zero_selectors",
+  "pages_not_ok",
+  "reasons",
+];
+
+const DEFAULTS = {
+  inFile: "./canaries.csv",
+  outDir: "./out",
+  site: "", // only this retailer
+  threshold: 0.2, // null price / availability rate above this = degraded
+  timeoutMs: 60000,
+  headless: true,
+};
+
+function parseArgs(argv) {
+  const args = { ...DEFAULTS };
+  const rest = argv.slice(2);
+  args.siteArgs = {};
+
+  for (let i = 0; i < rest.length; i++) {
+    const a = rest[i];
+    if (a === "--in") args.inFile = rest[++i] || args.inFile;
+    else if (a === "--out") args.outDir = rest[++i] || args.outDir;
+    else if (a === "--site") args.site = rest[++i] || args.site;
+    else if (a === "--threshold")
+      args.threshold = Number(rest[++i] || args.threshold);
+    else if (a === "--timeoutMs")
+      args.timeoutMs = Number(rest[++i] || args.timeoutMs);
+    else if (a === "--headed") args.headless = false;
+    else if (a === "--chain") args.siteArgs.fetchChain = parseChain(rest[++i]);
+  }
+  return args;
+}
+
+function selectorConfigFor(retailer) {
+  return (
+    listSelectorConfigs()
+      .map(loadSelectors)
+      .find((c) => c.retailer === retailer) || null
+  );
+}
+
+/**
+ * retailer -> { adapter, items } for the canaries we have an adapter for.
+ */
+function groupCanaries(items, site) {
+  const groups = new Map();
+  for (const item of items) {
+    const adapter = adapterFor(item.url);
+    if (!adapter) {
+      console.error(`[health] no adapter for ${item.url}, skipped`);
+      continue;
+    }
+    if (site && adapter.retailer !== site) continue;
+    if (!groups.has(adapter.retailer)) {
+      groups.set(adapter.retailer, { adapter, items: [] });
+    }
+    groups.get(adapter.retailer).items.push(item);
+  }
+  return groups;
+}
+
+async function checkSite({ adapter, items }, ctx, pool, args) {
+  const products = [];
+  for (const item of items) {
+    products.push(await extractWith(adapter, item, ctx));
+  }
+
+  const config = selectorConfigFor(adapter.retailer);
+  const probes = [];
+  if (config) {
+    for (const item of items) {
+      const page = await pool.newPage();
+      try {
+        probes.push(
+          await probeSelectors(page, config, {
+            url: item.url,
+            timeoutMs: args.timeoutMs,
+          }),
+        );
+      } catch (e) {
+        console.error(`[health] probe failed ${item.url}:`, e?.message);
+        probes.push({ url: item.url, reason: "ERROR", counts: null });
+      } finally {
+        await page.close().catch(() => {});
+      }
+    }
+  }
+
+  return siteHealth({
+    retailer: adapter.retailer,
+    products,
+    probes,
+    threshold: args.threshold,
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  ensureDir(args.outDir);
+
+  const groups = groupCanaries(readInputCSV(args.inFile), args.site);
+  if (!groups.size) {
+    console.error("No canaries to check (see --in / --site).");
+    process.exit(2);
+  }
+
+  const pool = createPagePool({ headless: args.headless });
+  const ctx = { args: args.siteArgs, newPage: () => pool.newPage() };
+
+  // one site at a time, canaries one by one: this is a probe, not a run
+  const sites = [];
+  try {
+    for (const group of groups.values()) {
+      sites.push(await checkSite(group, ctx, pool, args));
+    }
+  } finally {
+    await pool.close();
+  }
+
+  const jsonPath = path.join(args.outDir, "health.json");
+  fs.writeFileSync(
+    jsonPath,
+    JSON.stringify(
+      {
+        checked_at: new Date().toISOString(),
+        threshold: args.threshold,
+        sites,
+      },
+      null,
+      2,
+    ),
+    "utf-8",
+  );
+
+  const csvPath = path.join(args.outDir, "health.csv");
+  const rows = sites.map((s) => ({
+    ...s,
+    missing_fields: s.missing_fields.join("; "),
+    zero_selectors: s.zero_selectors.join("; "),
+    pages_not_ok: s.pages_not_ok.join("; "),
+    reasons: s.reasons.join("; "),
+  }));
+  fs.writeFileSync(csvPath, rowsToCSV(HEADERS, rows), "utf-8");
+
+  for (const s of sites) {
+    const why = s.reasons.length ? ` (${s.reasons.join("; ")})` : "";
+    console.error(`${s.retailer.padEnd(16)}: ${s.status}${why}`);
+  }
+  console.error(`Saved JSON    : ${jsonPath}`);
+  console.error(`Saved CSV     : ${csvPath}`);
+
+  if (sites.some((s) => s.status === HEALTH.DEGRADED)) process.exit(3);
+}
+
+main().catch((e) => {
+  console.error("Fatal:", e);
+  process.exit(1);
+});
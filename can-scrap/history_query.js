@@ -0,0 +1,92 @@
+/**
+ * Query the SQLite price history (see lib/history.js)
+ * Input: history db written by --db of scrape.js / mk_matrix_v5.js /
+ *        6pm_visible_multiple_product.js / ks_matrix.js / coach_matrix.js
+ * Output: CSV on stdout (or --csv <file>)
+ *
+ * Commands:
+ *   price           every observation (price, availability, CTA) of a variant
+ *   first-in-stock  first time each variant was seen IN_STOCK
+ *
+ * --color / --size match the id, or the label when the site has no ids;
+ * leave them out to get every variant of the product.
+ *
+ * Usage:
+ *   node history_query.js price --db ./out/history.sqlite --pid MK123 --color 0001 --size NS
+ *   node history_query.js first-in-stock --db ./out/history.sqlite --retailer 6pm --pid 10008224
+ *   node history_query.js price --db ./out/history.sqlite --pid MK123 --csv ./out/mk123.csv
+ */
+
+import fs from "fs";
+import { rowsToCSV } from "./lib/csv.js";
+import { firstInStock, openHistory, priceHistory } from "./lib/history.js";
+
+const COMMANDS = {
+  price: priceHistory,
+  "first-in-stock": firstInStock,
+};
+
+const DEFAULTS = {
+  command: null,
+  db: "./out/history.sqlite",
+  retailer: null,
+  productId: null,
+  colorId: null,
+  sizeId: null,
+  csvFile: null,
+};
+
+function parseArgs(argv) {
+  const args = { ...DEFAULTS };
+  const rest = argv.slice(2);
+  if (rest[0] && !rest[0].startsWith("--")) args.command = rest.shift();
+
+  for (let i = 0; i < rest.length; i++) {
+    const a = rest[i];
+    if (a === "--db") args.db = rest[++i] || args.db;
+    else if (a === "--retailer") args.retailer = rest[++i] || null;
+    else if (a === "--pid") args.productId = rest[++i] || null;
+    else if (a === "--color") args.colorId = rest[++i] || null;
+    else if (a === "--size") args.sizeId = rest[++i] || null;
+    else if (a === "--csv") args.csvFile = rest[++i] || null;
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  const query = COMMANDS[args.command];
+  if (!query || !args.productId) {
+    console.error(
+      `Usage: node history_query.js <${Object.keys(COMMANDS).join("|")}> --pid <product_id> [--db file] [--retailer r] [--color c] [--size s]`,
+    );
+    process.exit(2);
+  }
+  if (!fs.existsSync(args.db)) {
+    console.error(`History db not found: ${args.db}`);
+    process.exit(2);
+  }
+
+  const history = await openHistory(args.db, { readOnly: true });
+  let rows;
+  try {
+    rows = query(history, args);
+  } finally {
+    history.close();
+  }
+
+  const headers = rows.length ? Object.keys(rows[0]) : [];
+  const csv = rowsToCSV(headers, rows);
+  if (args.csvFile) {
+    fs.writeFileSync(args.csvFile, csv, "utf-8");
+    console.error(`Saved CSV     : ${args.csvFile}`);
+  } else {
+    process.stdout.write(csv + "\n");
+  }
+  console.error(`Rows          : ${rows.length}`);
+}
+
+main().catch((e) => {
+  console.error("Fatal:", e);
+  process.exit(1);
+});
@@ -0,0 +1,128 @@
+/**
+ * Bulk Kate Spade Outlet Variation Extractor
+ * Input: CSV (sku,url)
+ * Output: ONE combined JSON + ONE combined CSV (canonical variant rows)
+ *
+ * Works like mk_matrix_v5.js: the style code in each PDP url
+ * (e.g. .../KL418-403.html) is resolved through the site's product JSON
+ * to its full color x size matrix with price + stock. A browser is only
+ * launched for products whose API call is blocked (Akamai), and then the
+ * swatch walker from scrape-katespade-v2.js is used instead.
+ *
+ * Usage:
+ *   node ks_matrix.js --in ./input.csv --out ./out
+ *   node ks_matrix.js --in ./input.csv --out ./out --resume        (continue after a crash)
+ *   node ks_matrix.js --in ./input.csv --out ./out --retry-failed  (redo errored rows)
+ *   node ks_matrix.js --in ./input.csv --out ./out --db ./history.sqlite (append to price history)
+ *   node ks_matrix.js --in ./input.csv --out ./out --record ./cassettes/ks   (replay: --replay <dir>, see lib/cassette.js)
+ *   node ks_matrix.js --in ./input.csv --out ./out --noBrowserFallback
+ *   SCRAPERAPI_KEY=... node ks_matrix.js ... --chain direct,scraperapi_premium  (see lib/fetch.js)
+ *
+ * Output files:
+ *   ./out/ks_bulk.json
+ *   ./out/ks_bulk.csv
+ *   ./out/ks_bulk.journal.jsonl (checkpoint, see lib/journal.js)
+ */
+
+import { openCassette, printCassetteSummary } from "./lib/cassette.js";
+import { readInputCSV } from "./lib/csv.js";
+import { createPagePool } from "./lib/browser.js";
+import {
+  journalPath,
+  printSummary,
+  runBulk,
+  writeBulkOutputs,
+} from "./lib/run.js";
+import { openJournal } from "./lib/journal.js";
+import { parseChain } from "./lib/fetch.js";
+import { appendToHistory } from "./lib/history.js";
+import { ensureDir } from "./lib/util.js";
+import * as katespade from "./sites/katespade.js";
+import { onlyAdapter } from "./sites/index.js";
+
+const DEFAULTS = {
+  inFile: "./input.csv",
+  outDir: "./out",
+  resume: false, // skip rows already in the journal
+  retryFailed: false, // redo only rows that failed last time
+  db: "", // optional SQLite history file (lib/history.js)
+  record: "", // cassette dir: save every request / response (lib/cassette.js)
+  replay: "", // cassette dir: serve recorded responses, no network
+  productConcurrency: 4, // JSON path is cheap; browser fallbacks share one context
+  headless: true,
+};
+
+function parseArgs(argv) {
+  const args = { ...DEFAULTS, siteArgs: {} };
+  const rest = argv.slice(2);
+
+  for (let i = 0; i < rest.length; i++) {
+    const a = rest[i];
+    if (a === "--in") args.inFile = rest[++i] || args.inFile;
+    else if (a === "--resume") args.resume = true;
+    else if (a === "--retry-failed") args.retryFailed = true;
+    else if (a === "--out") args.outDir = rest[++i] || args.outDir;
+    else if (a === "--db") args.db = rest[++i] || args.db;
+    else if (a === "--record") args.record = rest[++i] || args.record;
+    else if (a === "--replay") args.replay = rest[++i] || args.replay;
+    else if (a === "--productConcurrency")
+      args.productConcurrency = Number(rest[++i] || args.productConcurrency);
+    else if (a === "--headed") args.headless = false;
+    else if (a === "--noBrowserFallback") args.siteArgs.browserFallback = false;
+    else if (a === "--timeoutMs") args.siteArgs.timeoutMs = Number(rest[++i]);
+    else if (a === "--retries") args.siteArgs.retries = Number(rest[++i]);
+    else if (a === "--chain") args.siteArgs.fetchChain = parseChain(rest[++i]);
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  ensureDir(args.outDir);
+
+  const items = readInputCSV(args.inFile);
+  if (!items.length) {
+    console.error("No rows found in input CSV.");
+    process.exit(2);
+  }
+
+  const cassette = openCassette(args);
+  const pool = createPagePool({ headless: args.headless, cassette });
+  const ctx = {
+    args: { ...args.siteArgs, cassette },
+    newPage: () => pool.newPage(),
+  };
+
+  const processed = await runBulk({
+    items,
+    resolveAdapter: onlyAdapter(katespade),
+    ctx,
+    productConcurrency: args.productConcurrency,
+    journal: openJournal(journalPath(args.outDir, "ks_bulk"), args),
+  });
+
+  await pool.close();
+
+  const outputs = writeBulkOutputs({
+    outDir: args.outDir,
+    name: "ks_bulk",
+    processed,
+  });
+  printSummary(processed, outputs);
+
+  if (args.db) {
+    const added = await appendToHistory(args.db, outputs.valid);
+    console.error(`History Rows  : ${added} -> ${args.db}`);
+  }
+
+  const viaBrowser = processed.filter((p) => p.source === "browser").length;
+  console.error(`Browser Fallbk: ${viaBrowser}`);
+
+  printCassetteSummary(cassette);
+  if (cassette?.stats.missing.length) process.exitCode = 1;
+}
+
+main().catch((e) => {
+  console.error("Fatal:", e);
+  process.exit(1);
+});
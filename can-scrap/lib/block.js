@@ -0,0 +1,154 @@
+/**
+ * Bot-block / bad-response classifier
+ *
+ * Used by every fetch (lib/http.js) and page load (checkPage) so a failed
+ * row says WHY it failed instead of a generic error or a row of NOT_FOUND:
+ *
+ *   OK               looks like the page / JSON we asked for
+ *   AKAMAI_BLOCK     403/429 or the Akamai "Access Denied" page
+ *   CAPTCHA          PerimeterX / reCAPTCHA / hCaptcha / Cloudflare challenge
+ *   LOGIN_REQUIRED   401 or bounced to a login page (B2B sites)
+ *   SOFT_404         404/410, or a 200 "page not found" / product gone page
+ *   REDIRECT_TO_HOME asked for a PDP, landed on the home page
+ *   EMPTY_RENDER     200 but nothing rendered (empty body / missing marker)
+ *
+ * Errors thrown for a non-OK reason carry it as `reason` and start their
+ * message with it ("AKAMAI_BLOCK: HTTP 403 ..."), so the reason ends up
+ * first in the error column of every output.
+ */
+
+export const BLOCK = {
+  OK: "OK",
+  AKAMAI_BLOCK: "AKAMAI_BLOCK",
+  CAPTCHA: "CAPTCHA",
+  LOGIN_REQUIRED: "LOGIN_REQUIRED",
+  SOFT_404: "SOFT_404",
+  REDIRECT_TO_HOME: "REDIRECT_TO_HOME",
+  EMPTY_RENDER: "EMPTY_RENDER",
+};
+
+// reasons a different fetch provider may get past (lib/fetch.js)
+const BLOCKING = new Set([BLOCK.AKAMAI_BLOCK, BLOCK.CAPTCHA]);
+
+const MARKERS = {
+  [BLOCK.AKAMAI_BLOCK]: [
+    /<title>\s*access denied\s*<\/title>/i,
+    /you don't have permission to access/i,
+    /errors\.edgesuite\.net/i,
+  ],
+  [BLOCK.CAPTCHA]: [
+    /px-captcha|_pxCaptcha/i,
+    /g-recaptcha|grecaptcha/i,
+    /h-captcha|hcaptcha\.com/i,
+    /cf-challenge|challenge-platform|cf_chl_/i,
+    /verify (that )?you are (a )?human/i,
+    /press (&amp;|&) hold/i,
+  ],
+  [BLOCK.LOGIN_REQUIRED]: [
+    /please (log ?in|sign ?in) to (continue|see|view)/i,
+    /accedi per (continuare|vedere)/i,
+  ],
+  [BLOCK.SOFT_404]: [
+    /<title>[^<]*(page not found|404)[^<]*<\/title>/i,
+    /we couldn'?t find (the|that) page/i,
+    /this (product|item) is no longer available/i,
+    /pagina non trovata/i,
+  ],
+};
+
+const LOGIN_PATH =
+  /\/(login|signin|sign-in|account\/login|customer\/account\/login)\b/i;
+
+// "/", "/home/", "/en-us/", "/in/en/", "/it-it/home" ... (pathOf() adds
+// the trailing slash, so every form ends in one)
+const HOME_PATH =
+  /^\/(?:[a-z]{2}(?:[-_][a-z]{2})?\/){0,2}(?:(?:home|index\.html?)\/)?$/i;
+
+function pathOf(url) {
+  try {
+    return new URL(url).pathname.replace(/\/?$/, "/");
+  } catch (_) {
+    return null;
+  }
+}
+
+function matchesAny(body, reason) {
+  return MARKERS[reason].some((re) => re.test(body));
+}
+
+/**
+ * { status, url (requested), finalUrl, body } -> BLOCK.*
+ *
+ * Body markers are checked before the status so a 403 CAPTCHA page is a
+ * CAPTCHA, not an AKAMAI_BLOCK.
+ */
+export function classifyResponse({ status, url, finalUrl, body = "" }) {
+  const text = String(body || "");
+
+  if (matchesAny(text, BLOCK.CAPTCHA)) return BLOCK.CAPTCHA;
+  if (matchesAny(text, BLOCK.AKAMAI_BLOCK)) return BLOCK.AKAMAI_BLOCK;
+  if (status === 403 || status === 429) return BLOCK.AKAMAI_BLOCK;
+
+  if (status === 401) return BLOCK.LOGIN_REQUIRED;
+  const finalPath = pathOf(finalUrl || url);
+  const askedPath = pathOf(url);
+  if (finalPath && LOGIN_PATH.test(finalPath) && !LOGIN_PATH.test(askedPath)) {
+    return BLOCK.LOGIN_REQUIRED;
+  }
+
+  if (status === 404 || status === 410) return BLOCK.SOFT_404;
+
+  if (
+    finalPath &&
+    askedPath &&
+    finalPath !== askedPath &&
+    HOME_PATH.test(finalPath) &&
+    !HOME_PATH.test(askedPath)
+  ) {
+    return BLOCK.REDIRECT_TO_HOME;
+  }
+
+  if (matchesAny(text, BLOCK.LOGIN_REQUIRED)) return BLOCK.LOGIN_REQUIRED;
+  if (matchesAny(text, BLOCK.SOFT_404)) return BLOCK.SOFT_404;
+
+  if (status >= 200 && status < 300 && !text.trim()) return BLOCK.EMPTY_RENDER;
+
+  return BLOCK.OK;
+}
+
+export function blockError(reason, detail, status) {
+  const err = new Error(`${reason}: ${detail}`);
+  err.reason = reason;
+  err.status = status;
+  if (BLOCKING.has(reason)) err.blocked = true;
+  return err;
+}
+
+/**
+ * Call right after page.goto(): throws a classified error unless the page
+ * looks OK. `expect` is a selector every real PDP of the site has; when it
+ * is there the page is OK whatever else it contains (a PDP may embed a
+ * reCAPTCHA newsletter form), when it is missing on an otherwise clean 200
+ * the page is EMPTY_RENDER.
+ */
+export async function checkPage(page, response, { url, expect } = {}) {
+  if (expect) {
+    const found = await page
+      .locator(expect)
+      .count()
+      .catch(() => 0);
+    if (found) return;
+  }
+
+  const status = response?.status() ?? null;
+  const finalUrl = page.url();
+  const body = await page.content().catch(() => "");
+
+  let reason = classifyResponse({ status, url, finalUrl, body });
+  if (reason === BLOCK.OK && expect && (!status || status < 400)) {
+    reason = BLOCK.EMPTY_RENDER;
+  }
+  if (reason === BLOCK.OK) return; // other HTTP errors: up to the extractor
+
+  throw blockError(reason, `HTTP ${status ?? "-"} ${finalUrl}`, status);
+}
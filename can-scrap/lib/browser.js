@@ -0,0 +1,136 @@
+/**
+ * Playwright launch settings shared by the browser-based extractors.
+ *
+ * Same desktop Chrome fingerprint the single-site scripts use
+ * (1366x768, en-US, New York timezone).
+ */
+
+import { chromium } from "playwright";
+
+export const USER_AGENT =
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36";
+
+export async function launchBrowser({
+  headless = true,
+  slowMo = 0,
+  proxy,
+} = {}) {
+  return chromium.launch({
+    headless,
+    slowMo,
+    proxy,
+    args: ["--disable-blink-features=AutomationControlled"],
+  });
+}
+
+export async function newDesktopContext(browser, options = {}) {
+  return browser.newContext({
+    ...options,
+    viewport: { width: 1366, height: 768 },
+    locale: "en-US",
+    timezoneId: "America/New_York",
+    userAgent: USER_AGENT,
+    extraHTTPHeaders: {
+      "accept-language": "en-US,en;q=0.9",
+    },
+  });
+}
+
+/**
+ * Lazily starts ONE browser + context the first time a page is needed,
+ * so runs that only hit JSON endpoints never launch Chromium. With a
+ * `cassette` (lib/cassette.js) the context's traffic is recorded / replayed.
+ */
+export function createPagePool({
+  headless = true,
+  slowMo = 0,
+  cassette = null,
+} = {}) {
+  let browser = null;
+  let context = null;
+  let starting = null;
+
+  async function start() {
+    browser = await launchBrowser({ headless, slowMo });
+    context = await newDesktopContext(browser);
+    if (cassette) await cassette.attach(context);
+  }
+
+  return {
+    async newPage() {
+      if (!context) {
+        starting = starting || start();
+        await starting;
+      }
+      return context.newPage();
+    },
+    async close() {
+      // recorded response bodies are read from the live browser
+      await cassette?.close();
+      if (browser) await browser.close().catch(() => {});
+      browser = null;
+      context = null;
+      starting = null;
+    },
+  };
+}
+
+/**
+ * ONE browser with up to `size` independent contexts (own cookies, own
+ * session) for bulk runs that keep several pages busy at once. withPage()
+ * borrows a context, opens a fresh page in it and hands the context back
+ * when `fn` is done; callers beyond `size` wait for a free context.
+ */
+export function createContextPool({
+  headless = true,
+  size = 2,
+  cassette = null,
+} = {}) {
+  let browser = null;
+  let starting = null;
+  const idle = [];
+  const waiting = [];
+  let created = 0;
+
+  async function acquire() {
+    if (!browser) {
+      starting = starting || launchBrowser({ headless });
+      browser = await starting;
+    }
+    if (idle.length) return idle.pop();
+    if (created < size) {
+      created++;
+      const context = await newDesktopContext(browser);
+      if (cassette) await cassette.attach(context);
+      return context;
+    }
+    return new Promise((resolve) => waiting.push(resolve));
+  }
+
+  function release(context) {
+    const next = waiting.shift();
+    if (next) next(context);
+    else idle.push(context);
+  }
+
+  return {
+    async withPage(fn) {
+      const context = await acquire();
+      const page = await context.newPage();
+      try {
+        return await fn(page);
+      } finally {
+        await page.close().catch(() => {});
+        release(context);
+      }
+    },
+    async close() {
+      await cassette?.close();
+      if (browser) await browser.close().catch(() => {});
+      browser = null;
+      starting = null;
+      idle.length = 0;
+      created = 0;
+    },
+  };
+}
@@ -0,0 +1,264 @@
+/**
+ * Record / replay of HTTP traffic ("cassettes")
+ *
+ *   --record <dir>  every request still goes to the network; each response
+ *                   is also written to <dir>, one JSON file per request
+ *   --replay <dir>  no network at all: responses come from <dir> and a
+ *                   request that was never recorded fails the row
+ *                   (NOT_RECORDED) instead of quietly going out
+ *
+ * Covers both paths a scraper fetches through:
+ *   fetch()      lib/http.js fetchText (Demandware JSON, /api/products,
+ *                ScraperAPI HTML) via `cassette.fetch`
+ *   Playwright   documents / XHR / scripts of a context, via attach()
+ *
+ * Response bodies of a recorded context are read and written after the
+ * fact; close() waits for those writes, so call it before the browser
+ * closes (the page pools in lib/browser.js do). A replayed page.goto()
+ * that hits a url not in the cassette rejects with NOT_RECORDED and the
+ * url, not with Chromium's net error.
+ *
+ * Requests are keyed by method + url, with the ScraperAPI `api_key` left
+ * out so a cassette never holds the key and replays without one. The same
+ * url requested twice is stored once (last response wins).
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { ensureDir } from "./util.js";
+
+// Playwright resource types worth keeping; images / fonts / media are
+// dropped when recording and answered with an abort when replaying
+const PAGE_TYPES = new Set([
+  "document",
+  "xhr",
+  "fetch",
+  "script",
+  "stylesheet",
+]);
+
+export function requestKey(method, url) {
+  let u = url;
+  try {
+    const parsed = new URL(url);
+    parsed.searchParams.delete("api_key");
+    u = parsed.toString();
+  } catch (_) {}
+  return `${String(method || "GET").toUpperCase()} ${u}`;
+}
+
+function fileFor(dir, key) {
+  const hash = crypto.createHash("sha1").update(key).digest("hex");
+  let slug = "request";
+  try {
+    const u = new URL(key.slice(key.indexOf(" ") + 1));
+    slug = `${u.hostname}_${u.pathname.split("/").filter(Boolean).pop() || ""}`;
+  } catch (_) {}
+  slug = slug.replace(/[^a-z0-9]+/gi, "_").slice(0, 60);
+  return path.join(dir, `${slug}-${hash.slice(0, 12)}.json`);
+}
+
+function notRecorded(dir, key) {
+  const err = new Error(`NOT_RECORDED: ${key} (cassette ${dir})`);
+  err.reason = "NOT_RECORDED";
+  return err;
+}
+
+/**
+ * { record, replay } -> cassette, or null when neither is set.
+ */
+export function openCassette({ record = "", replay = "" } = {}) {
+  if (record && replay) {
+    throw new Error("Use either --record or --replay, not both.");
+  }
+  if (!record && !replay) return null;
+
+  const dir = record || replay;
+  if (record) ensureDir(dir);
+  else if (!fs.existsSync(dir)) {
+    throw new Error(`Cassette dir not found: ${dir}`);
+  }
+
+  const stats = { recorded: 0, replayed: 0, missing: [] };
+  const writes = new Set(); // response bodies still being saved (attach)
+
+  function save(entry) {
+    const key = requestKey(entry.method, entry.url);
+    fs.writeFileSync(
+      fileFor(dir, key),
+      JSON.stringify(
+        { ...entry, url: key.slice(key.indexOf(" ") + 1) },
+        null,
+        2,
+      ),
+      "utf-8",
+    );
+    stats.recorded++;
+  }
+
+  function load(method, url) {
+    const key = requestKey(method, url);
+    const file = fileFor(dir, key);
+    if (!fs.existsSync(file)) {
+      stats.missing.push(key);
+      return null;
+    }
+    stats.replayed++;
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  }
+
+  const asResponse = (e) => ({
+    ok: e.status >= 200 && e.status < 300,
+    status: e.status,
+    statusText: e.status_text || "",
+    url: e.final_url || "",
+    text: async () => e.body,
+  });
+
+  /**
+   * Drop-in for fetch() as far as fetchText uses it.
+   */
+  async function cassetteFetch(url, init = {}) {
+    const method = init.method || "GET";
+    if (replay) {
+      const entry = load(method, url);
+      if (!entry) throw notRecorded(dir, requestKey(method, url));
+      return asResponse(entry);
+    }
+
+    const res = await fetch(url, init);
+    const entry = {
+      method,
+      url,
+      status: res.status,
+      status_text: res.statusText,
+      final_url: res.url,
+      headers: Object.fromEntries(res.headers),
+      body: await res.text().catch(() => ""),
+      recorded_at: new Date().toISOString(),
+    };
+    save(entry);
+    return asResponse(entry);
+  }
+
+  /**
+   * Record or replay the traffic of a Playwright browser context.
+   */
+  async function attach(context) {
+    if (record) {
+      context.on("response", (res) => {
+        const req = res.request();
+        if (!PAGE_TYPES.has(req.resourceType())) return;
+        const write = saveResponse(req, res)
+          .catch((e) => console.error(`[cassette] ${res.url()}:`, e?.message))
+          .finally(() => writes.delete(write));
+        writes.add(write);
+      });
+      return;
+    }
+
+    // the miss behind a failed navigation, per page (see gotoOrNotRecorded)
+    const navMiss = new WeakMap();
+    context.on("page", (page) => gotoOrNotRecorded(page, navMiss));
+
+    await context.route("**/*", async (route) => {
+      const req = route.request();
+      if (!PAGE_TYPES.has(req.resourceType())) {
+        await route.abort().catch(() => {});
+        return;
+      }
+      const entry = load(req.method(), req.url());
+      if (!entry) {
+        const key = requestKey(req.method(), req.url());
+        if (req.isNavigationRequest()) {
+          const page = req.frame().page();
+          if (req.frame() === page.mainFrame()) navMiss.set(page, key);
+        }
+        console.error(`[cassette] ${notRecorded(dir, key).message}`);
+        await route.abort("internetdisconnected").catch(() => {});
+        return;
+      }
+      // bodies are stored decoded
+      const {
+        "content-encoding": _enc,
+        "content-length": _len,
+        ...headers
+      } = entry.headers || {};
+      await route
+        .fulfill({
+          status: entry.status,
+          headers,
+          body: Buffer.from(entry.body, entry.encoding || "utf-8"),
+        })
+        .catch(() => {});
+    });
+  }
+
+  async function saveResponse(req, res) {
+    const body = await res.body().catch(() => Buffer.alloc(0));
+    save({
+      method: req.method(),
+      url: res.url(),
+      status: res.status(),
+      status_text: res.statusText(),
+      final_url: res.url(),
+      headers: await res.allHeaders().catch(() => res.headers()),
+      body: body.toString("base64"),
+      encoding: "base64",
+      recorded_at: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * page.goto() that rejects with NOT_RECORDED (url + cassette dir) when
+   * the navigation failed because the replay had no such response.
+   */
+  function gotoOrNotRecorded(page, navMiss) {
+    const goto = page.goto.bind(page);
+    page.goto = async (url, options) => {
+      navMiss.delete(page);
+      try {
+        return await goto(url, options);
+      } catch (e) {
+        const key = navMiss.get(page);
+        if (!key) throw e;
+        const err = notRecorded(dir, key);
+        err.cause = e;
+        throw err;
+      }
+    };
+  }
+
+  /**
+   * Waits for the response bodies attach() is still saving.
+   */
+  async function close() {
+    while (writes.size) await Promise.all([...writes]);
+  }
+
+  return {
+    dir,
+    mode: record ? "record" : "replay",
+    replay: Boolean(replay),
+    stats,
+    fetch: cassetteFetch,
+    attach,
+    close,
+  };
+}
+
+/**
+ * One summary line for the scripts; `missing` is what replay could not
+ * answer (those rows failed with NOT_RECORDED).
+ */
+export function printCassetteSummary(cassette) {
+  if (!cassette) return;
+  const { recorded, replayed, missing } = cassette.stats;
+  const n = cassette.mode === "record" ? recorded : replayed;
+  console.error(
+    `Cassette      : ${n} ${cassette.mode}ed -> ${cassette.dir}` +
+      (missing.length ? `, ${missing.length} NOT recorded` : ""),
+  );
+  for (const key of missing.slice(0, 10)) console.error(`  missing: ${key}`);
+}
@@ -0,0 +1,308 @@
+/**
+ * Color families
+ *
+ * Retailer color names are free text ("Black Multi", "Luggage", "Optic
+ * White", "Nero"); the catalog filters on a short fixed list instead.
+ * A variant's family comes from, in order:
+ *
+ *   swatch  dominant color of the swatch image (lib/swatch.js, optional
+ *           --swatches step) -> familyFromRgb()
+ *   name    keywords of the color name -> familyFromName()
+ *
+ * "multi" and the metallics only come from the name: a swatch of a
+ * multicolor print has a dominant color but the product is still "multi".
+ */
+
+import zlib from "zlib";
+
+export const COLOR_FAMILY = {
+  BLACK: "black",
+  WHITE: "white",
+  GREY: "grey",
+  BROWN: "brown",
+  NEUTRAL: "neutral", // beige, cream, tan, camel
+  RED: "red",
+  PINK: "pink",
+  ORANGE: "orange",
+  YELLOW: "yellow",
+  GREEN: "green",
+  BLUE: "blue",
+  PURPLE: "purple",
+  METALLIC: "metallic",
+  MULTI: "multi",
+};
+
+// multi / metallic win anywhere in the name ("Black Multi" is multi);
+// otherwise the keyword that comes first does ("Navy/White" is blue).
+// "Signature" / "Logo" are MK print names on a base color, not multi.
+const NAME_KEYWORDS = [
+  [
+    COLOR_FAMILY.MULTI,
+    /\b(multi|multicolou?r|print|pattern|floral|stripes?)\b/,
+  ],
+  [
+    COLOR_FAMILY.METALLIC,
+    /\b(gold|silver|metallic|bronze|pewter|gunmetal|rose gold|champagne)\b/,
+  ],
+  [COLOR_FAMILY.BLACK, /\b(black|noir|nero|jet|onyx|ebony)\b/],
+  [COLOR_FAMILY.WHITE, /\b(white|optic|bianco|blanc|snow)\b/],
+  [
+    COLOR_FAMILY.NEUTRAL,
+    /\b(beige|cream|ivory|vanilla|ecru|bone|sand|nude|camel|tan|khaki|taupe|oat|natural|buff|light cream)\b/,
+  ],
+  [
+    COLOR_FAMILY.BROWN,
+    /\b(brown|luggage|cognac|chocolate|mocha|espresso|chestnut|acorn|saddle|caramel|walnut|marrone|dark brown)\b/,
+  ],
+  [
+    COLOR_FAMILY.GREY,
+    /\b(grey|gray|heather|charcoal|graphite|slate|grigio|smoke)\b/,
+  ],
+  [
+    COLOR_FAMILY.RED,
+    /\b(red|crimson|scarlet|cherry|burgundy|wine|bordeaux|rosso|oxblood|cranberry|merlot)\b/,
+  ],
+  [
+    COLOR_FAMILY.PINK,
+    /\b(pink|blush|rose|fuchsia|magenta|ballet|dusty rose|rosa|peony|primrose)\b/,
+  ],
+  [
+    COLOR_FAMILY.ORANGE,
+    /\b(orange|coral|rust|terracotta|apricot|tangerine|peach|arancio)\b/,
+  ],
+  [
+    COLOR_FAMILY.YELLOW,
+    /\b(yellow|mustard|lemon|butter|daffodil|giallo|sunflower)\b/,
+  ],
+  [
+    COLOR_FAMILY.GREEN,
+    /\b(green|olive|sage|emerald|mint|forest|army|verde|jade|moss|hunter)\b/,
+  ],
+  [
+    COLOR_FAMILY.BLUE,
+    /\b(blue|navy|denim|cobalt|teal|turquoise|azure|sky|admiral|blu|indigo|chambray)\b/,
+  ],
+  [
+    COLOR_FAMILY.PURPLE,
+    /\b(purple|lilac|lavender|violet|plum|mauve|viola|orchid|grape)\b/,
+  ],
+];
+
+/**
+ * "Black Multi" -> "multi", "Red/Black" -> "red", "Luggage" -> "brown",
+ * unknown -> null.
+ */
+export function familyFromName(name) {
+  const text = String(name || "").toLowerCase();
+  if (!text.trim()) return null;
+  let best = null;
+  for (const [family, re] of NAME_KEYWORDS) {
+    const at = text.search(re);
+    if (at === -1) continue;
+    if (family === COLOR_FAMILY.MULTI || family === COLOR_FAMILY.METALLIC) {
+      return family;
+    }
+    if (!best || at < best.at) best = { family, at };
+  }
+  return best?.family ?? null;
+}
+
+export function rgbToHsl([r, g, b]) {
+  const [rn, gn, bn] = [r / 255, g / 255, b / 255];
+  const max = Math.max(rn, gn, bn);
+  const min = Math.min(rn, gn, bn);
+  const l = (max + min) / 2;
+  if (max === min) return [0, 0, l];
+
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  let h;
+  if (max === rn) h = (gn - bn) / d + (gn < bn ? 6 : 0);
+  else if (max === gn) h = (bn - rn) / d + 2;
+  else h = (rn - gn) / d + 4;
+  return [h * 60, s, l];
+}
+
+/**
+ * [r, g, b] -> family, by hue / saturation / lightness bands.
+ */
+export function familyFromRgb(rgb) {
+  const [h, s, l] = rgbToHsl(rgb);
+  if (l < 0.13) return COLOR_FAMILY.BLACK;
+  if (l > 0.9 && s < 0.5) return COLOR_FAMILY.WHITE;
+  if (s < 0.12) {
+    if (l < 0.2) return COLOR_FAMILY.BLACK;
+    if (l > 0.85) return COLOR_FAMILY.WHITE;
+    return COLOR_FAMILY.GREY;
+  }
+  // warm low-saturation / dark oranges are leathers, not "orange"
+  if (h >= 15 && h < 50) {
+    if (l < 0.45) return COLOR_FAMILY.BROWN;
+    if (s < 0.55 || l > 0.7) return COLOR_FAMILY.NEUTRAL;
+  }
+  if (h < 15 || h >= 345) {
+    if (l > 0.7) return COLOR_FAMILY.PINK;
+    if (l < 0.3 && s < 0.5) return COLOR_FAMILY.BROWN;
+    return COLOR_FAMILY.RED;
+  }
+  if (h < 45) return COLOR_FAMILY.ORANGE;
+  if (h < 70) return COLOR_FAMILY.YELLOW;
+  if (h < 170) return COLOR_FAMILY.GREEN;
+  if (h < 255) return COLOR_FAMILY.BLUE;
+  if (h < 290) return COLOR_FAMILY.PURPLE;
+  return COLOR_FAMILY.PINK;
+}
+
+export function toHex([r, g, b]) {
+  return `#${[r, g, b].map((c) => c.toString(16).padStart(2, "0")).join("")}`;
+}
+
+/**
+ * RGBA pixels -> [r, g, b] of the most common color. Pixels are bucketed
+ * at 4 bits per channel (so texture noise lands in one bucket) and the
+ * biggest bucket is averaged; transparent pixels are ignored.
+ */
+export function dominantColor(pixels) {
+  const buckets = new Map();
+  for (let i = 0; i + 3 < pixels.length; i += 4) {
+    if (pixels[i + 3] < 128) continue;
+    const [r, g, b] = [pixels[i], pixels[i + 1], pixels[i + 2]];
+    const key = ((r >> 4) << 8) | ((g >> 4) << 4) | (b >> 4);
+    const acc = buckets.get(key) || { n: 0, r: 0, g: 0, b: 0 };
+    acc.n++;
+    acc.r += r;
+    acc.g += g;
+    acc.b += b;
+    buckets.set(key, acc);
+  }
+  let best = null;
+  for (const acc of buckets.values()) if (!best || acc.n > best.n) best = acc;
+  if (!best) return null;
+  return [best.r, best.g, best.b].map((c) => Math.round(c / best.n));
+}
+
+const PNG_SIGNATURE = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+
+export function isPng(buf) {
+  return buf.length > 8 && buf.subarray(0, 8).equals(PNG_SIGNATURE);
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/**
+ * PNG buffer -> { width, height, pixels } (RGBA, 8 bit). Covers what
+ * image CDNs send for swatches: gray / RGB / palette / alpha, 8-bit
+ * channels (palette also 1/2/4-bit), not interlaced.
+ */
+export function decodePng(buf) {
+  if (!isPng(buf)) throw new Error("Not a PNG image.");
+
+  let pos = 8;
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const data = [];
+  while (pos < buf.length) {
+    const len = buf.readUInt32BE(pos);
+    const type = buf.toString("ascii", pos + 4, pos + 8);
+    const chunk = buf.subarray(pos + 8, pos + 8 + len);
+    if (type === "IHDR") {
+      header = {
+        width: chunk.readUInt32BE(0),
+        height: chunk.readUInt32BE(4),
+        depth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12],
+      };
+    } else if (type === "PLTE") palette = chunk;
+    else if (type === "tRNS") transparency = chunk;
+    else if (type === "IDAT") data.push(chunk);
+    else if (type === "IEND") break;
+    pos += 12 + len;
+  }
+  if (!header) throw new Error("PNG without IHDR.");
+
+  const { width, height, depth, colorType, interlace } = header;
+  const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+  if (!channels || interlace) {
+    throw new Error(
+      `Unsupported PNG (color type ${colorType}, interlace ${interlace}).`,
+    );
+  }
+  if (depth !== 8 && !(colorType === 3 && depth < 8)) {
+    throw new Error(`Unsupported PNG bit depth ${depth}.`);
+  }
+
+  const raw = zlib.inflateSync(Buffer.concat(data));
+  const bpp = Math.max(1, (channels * depth) / 8); // filter byte distance
+  const stride = Math.ceil((width * channels * depth) / 8);
+  const lines = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const src = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const out = lines.subarray(y * stride, (y + 1) * stride);
+    const prev = y ? lines.subarray((y - 1) * stride, y * stride) : null;
+    for (let x = 0; x < stride; x++) {
+      const a = x >= bpp ? out[x - bpp] : 0;
+      const b = prev ? prev[x] : 0;
+      const c = prev && x >= bpp ? prev[x - bpp] : 0;
+      const v = src[x];
+      out[x] =
+        filter === 1
+          ? v + a
+          : filter === 2
+            ? v + b
+            : filter === 3
+              ? v + ((a + b) >> 1)
+              : filter === 4
+                ? v + paeth(a, b, c)
+                : v;
+    }
+  }
+
+  const pixels = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const line = lines.subarray(y * stride, (y + 1) * stride);
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      if (colorType === 3) {
+        const perByte = 8 / depth;
+        const byte = line[Math.floor(x / perByte)];
+        const shift = (perByte - 1 - (x % perByte)) * depth;
+        const idx = (byte >> shift) & ((1 << depth) - 1);
+        pixels[o] = palette[idx * 3];
+        pixels[o + 1] = palette[idx * 3 + 1];
+        pixels[o + 2] = palette[idx * 3 + 2];
+        pixels[o + 3] = transparency?.[idx] ?? 255;
+      } else {
+        const i = x * channels;
+        const gray = colorType === 0 || colorType === 4;
+        pixels[o] = line[i];
+        pixels[o + 1] = gray ? line[i] : line[i + 1];
+        pixels[o + 2] = gray ? line[i] : line[i + 2];
+        pixels[o + 3] =
+          colorType === 4 ? line[i + 1] : colorType === 6 ? line[i + 3] : 255;
+      }
+    }
+  }
+  return { width, height, pixels };
+}
+
+/**
+ * Family of one variant: the swatch decides, except for names that say
+ * multi / metallic (and when there is no swatch).
+ */
+export function colorFamilyOf({ name, swatchFamily = null }) {
+  const byName = familyFromName(name);
+  if (byName === COLOR_FAMILY.MULTI || byName === COLOR_FAMILY.METALLIC) {
+    return byName;
+  }
+  return swatchFamily || byName;
+}
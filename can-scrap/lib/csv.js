@@ -0,0 +1,162 @@
+/**
+ * CSV helpers shared by the bulk extractors.
+ *
+ * Input files are always "sku,url" (extra columns are ignored).
+ * Output files are written with a fixed header list.
+ */
+
+import fs from "fs";
+
+export function csvEscape(val) {
+  if (val === null || val === undefined) return "";
+  const s = String(val);
+  if (/[",\n\r]/.test(s)) return `"${s.replace(/"/g, '""')}"`;
+  return s;
+}
+
+export function splitCSVLine(line) {
+  const out = [];
+  let cur = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"') {
+      if (inQuotes && line[i + 1] === '"') {
+        cur += '"';
+        i++;
+      } else {
+        inQuotes = !inQuotes;
+      }
+      continue;
+    }
+    if (ch === "," && !inQuotes) {
+      out.push(cur);
+      cur = "";
+      continue;
+    }
+    cur += ch;
+  }
+  out.push(cur);
+  return out;
+}
+
+export function parseSimpleCSV(text) {
+  // Simple CSV parser for your format: sku,url,(optional columns)
+  // Handles commas inside quotes.
+  const lines = text.split(/\r?\n/).filter((l) => l.trim().length);
+  if (!lines.length) return [];
+
+  const rows = [];
+  const header = splitCSVLine(lines[0]).map((h) => h.trim());
+  const skuIdx = header.findIndex((h) => h.toLowerCase() === "sku");
+  const urlIdx = header.findIndex((h) => h.toLowerCase() === "url");
+
+  if (skuIdx === -1 || urlIdx === -1) {
+    throw new Error('Input CSV must have headers: "sku,url"');
+  }
+
+  for (let i = 1; i < lines.length; i++) {
+    const cols = splitCSVLine(lines[i]);
+    const sku = (cols[skuIdx] ?? "").trim();
+    const url = (cols[urlIdx] ?? "").trim();
+    if (!sku || !url) continue;
+    rows.push({ sku, url });
+  }
+  return rows;
+}
+
+export function readInputCSV(filePath) {
+  return parseSimpleCSV(fs.readFileSync(filePath, "utf-8"));
+}
+
+/**
+ * Values of the first header in `names` that the file has (case-insensitive),
+ * e.g. readCSVColumn("./out/ks_bulk.csv", ["variant_id", "sku"]).
+ */
+export function readCSVColumn(filePath, names) {
+  const lines = fs
+    .readFileSync(filePath, "utf-8")
+    .split(/\r?\n/)
+    .filter((l) => l.trim().length);
+  if (!lines.length) return [];
+
+  const header = splitCSVLine(lines[0]).map((h) => h.trim().toLowerCase());
+  const idx = names
+    .map((n) => header.indexOf(n.toLowerCase()))
+    .find((i) => i !== -1);
+  if (idx === undefined) {
+    throw new Error(`CSV must have one of the headers: ${names.join(", ")}`);
+  }
+
+  return lines
+    .slice(1)
+    .map((l) => (splitCSVLine(l)[idx] ?? "").trim())
+    .filter(Boolean);
+}
+
+/**
+ * Full CSV text -> array of records (arrays of strings). Unlike
+ * splitCSVLine() this also handles quoted fields spanning several lines,
+ * which rowsToCSV() produces for multi-line error messages.
+ */
+export function parseCSV(text) {
+  const records = [];
+  let row = [];
+  let cur = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cur += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        cur += ch;
+      }
+      continue;
+    }
+    if (ch === '"') inQuotes = true;
+    else if (ch === ",") {
+      row.push(cur);
+      cur = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cur);
+      records.push(row);
+      row = [];
+      cur = "";
+    } else cur += ch;
+  }
+  if (cur || row.length) {
+    row.push(cur);
+    records.push(row);
+  }
+  return records.filter((r) => r.some((c) => c.trim().length));
+}
+
+/**
+ * Whole CSV file as objects keyed by header (all values are strings).
+ */
+export function readCSVRows(filePath) {
+  const [header, ...records] = parseCSV(fs.readFileSync(filePath, "utf-8"));
+  if (!header) return [];
+
+  const keys = header.map((h) => h.trim());
+  return records.map((cols) => {
+    const row = {};
+    keys.forEach((k, i) => (row[k] = cols[i] ?? ""));
+    return row;
+  });
+}
+
+export function rowsToCSV(headers, rows) {
+  const lines = [headers.join(",")];
+  for (const r of rows) {
+    lines.push(headers.map((h) => csvEscape(r[h])).join(","));
+  }
+  return lines.join("\n");
+}
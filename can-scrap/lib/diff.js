@@ -0,0 +1,149 @@
+/**
+ * Run-to-run change detection on canonical variant records.
+ *
+ * Variants are matched by variantKey() (lib/variant.js):
+ * (retailer, product_id, color, size).
+ *
+ * Change types:
+ *   NEW_VARIANT / REMOVED_VARIANT
+ *   PRICE_DROP / PRICE_INCREASE   (sale price, list price if no sale price)
+ *   RESTOCK / SOLD_OUT            (IN_STOCK <-> OUT_OF_STOCK, which is also
+ *                                  ADD_TO_BAG <-> NOTIFY_ME for CTA sites)
+ *
+ * Rows with an error are ignored on both sides, and a product that failed
+ * in the new run does not report its variants as removed.
+ */
+
+import { AVAILABILITY, variantKey } from "./variant.js";
+
+export const CHANGE_TYPES = [
+  "NEW_VARIANT",
+  "REMOVED_VARIANT",
+  "PRICE_DROP",
+  "PRICE_INCREASE",
+  "RESTOCK",
+  "SOLD_OUT",
+];
+
+export const DIFF_FIELDS = [
+  "change_type",
+  "retailer",
+  "product_id",
+  "color_id",
+  "size_id",
+  "product_name",
+  "color_name",
+  "size_label",
+  "size_norm",
+  "input_sku",
+  "currency",
+  "old_price",
+  "new_price",
+  "price_change",
+  "price_change_pct",
+  "old_availability",
+  "new_availability",
+  "old_cta",
+  "new_cta",
+];
+
+function priceOf(v) {
+  return v.sale_price ?? v.list_price ?? null;
+}
+
+function index(variants) {
+  const map = new Map();
+  for (const v of variants) {
+    if (v.error || !v.product_id) continue;
+    map.set(variantKey(v), v);
+  }
+  return map;
+}
+
+function changeRow(type, oldV, newV) {
+  const v = newV || oldV;
+  const oldPrice = oldV ? priceOf(oldV) : null;
+  const newPrice = newV ? priceOf(newV) : null;
+  const delta =
+    oldPrice !== null && newPrice !== null ? newPrice - oldPrice : null;
+
+  return {
+    change_type: type,
+    retailer: v.retailer,
+    product_id: v.product_id,
+    color_id: v.color_id,
+    size_id: v.size_id,
+    product_name: v.product_name,
+    color_name: v.color_name,
+    size_label: v.size_label,
+    size_norm: v.size_norm,
+    input_sku: v.input_sku,
+    currency: v.currency,
+    old_price: oldPrice,
+    new_price: newPrice,
+    price_change: delta === null ? null : Math.round(delta * 100) / 100,
+    price_change_pct:
+      delta === null || !oldPrice
+        ? null
+        : Math.round((delta / oldPrice) * 10000) / 100,
+    old_availability: oldV?.availability ?? null,
+    new_availability: newV?.availability ?? null,
+    old_cta: oldV?.cta ?? null,
+    new_cta: newV?.cta ?? null,
+  };
+}
+
+export function diffRuns(oldVariants, newVariants) {
+  const before = index(oldVariants);
+  const after = index(newVariants);
+
+  // products whose new run errored: missing variants are not "removed"
+  const failed = new Set(
+    newVariants
+      .filter((v) => v.error)
+      .map((v) => `${v.retailer}|${v.input_url}`),
+  );
+
+  const changes = [];
+
+  for (const [key, newV] of after) {
+    const oldV = before.get(key);
+    if (!oldV) {
+      changes.push(changeRow("NEW_VARIANT", null, newV));
+      continue;
+    }
+
+    const oldPrice = priceOf(oldV);
+    const newPrice = priceOf(newV);
+    if (oldPrice !== null && newPrice !== null && oldPrice !== newPrice) {
+      changes.push(
+        changeRow(
+          newPrice < oldPrice ? "PRICE_DROP" : "PRICE_INCREASE",
+          oldV,
+          newV,
+        ),
+      );
+    }
+
+    const { IN_STOCK, OUT_OF_STOCK } = AVAILABILITY;
+    if (oldV.availability === OUT_OF_STOCK && newV.availability === IN_STOCK) {
+      changes.push(changeRow("RESTOCK", oldV, newV));
+    } else if (
+      oldV.availability === IN_STOCK &&
+      newV.availability === OUT_OF_STOCK
+    ) {
+      changes.push(changeRow("SOLD_OUT", oldV, newV));
+    }
+  }
+
+  for (const [key, oldV] of before) {
+    if (after.has(key)) continue;
+    if (failed.has(`${oldV.retailer}|${oldV.input_url}`)) continue;
+    changes.push(changeRow("REMOVED_VARIANT", oldV, null));
+  }
+
+  const summary = Object.fromEntries(CHANGE_TYPES.map((t) => [t, 0]));
+  for (const c of changes) summary[c.change_type]++;
+
+  return { summary, changes };
+}
@@ -0,0 +1,204 @@
+/**
+ * Fetch providers + escalation chain for the JSON-API adapters
+ *
+ * Every site declares an ordered `fetchChain` of provider names in its
+ * DEFAULTS, cheapest first. A fetcher tries the chain in order and only
+ * moves to the next provider when the current one is blocked
+ * (isBlockedError); any other error is thrown as-is. Once a provider got
+ * through, the fetcher stays on it for the rest of the product, so a
+ * 40-combo MK matrix doesn't pay the direct-fetch block 40 times.
+ *
+ * Providers:
+ *   direct                   plain fetch from this machine (free)
+ *   scraperapi               ScraperAPI, standard proxies
+ *   scraperapi_premium       ScraperAPI premium=true (residential)
+ *   scraperapi_ultra_render  ScraperAPI ultra_premium=true&render=true
+ *   browser                  the run's Playwright context (ctx.newPage)
+ *
+ * ScraperAPI providers need SCRAPERAPI_KEY (env) or `scraperApiKey` in the
+ * site args; the browser provider needs `newPage`. Providers that are not
+ * configured are dropped from the chain, so the default chains cost
+ * nothing until a key is set.
+ *
+ * `cassette` in the site args (lib/cassette.js) records / replays every
+ * request; when replaying, ScraperAPI steps stay in the chain without a key.
+ */
+
+import { fetchText, isBlockedError, parseJson } from "./http.js";
+
+const SCRAPERAPI_ENDPOINT = "https://api.scraperapi.com/";
+const SCRAPERAPI_PROXY = "http://proxy-server.scraperapi.com:8001";
+const SCRAPERAPI_MIN_TIMEOUT_MS = 70000; // what ScraperAPI recommends
+
+/**
+ * ScraperAPI request url for a target; extra params are passed through
+ * (premium, ultra_premium, render, country_code, ...).
+ */
+export function scraperApiUrl(targetUrl, { apiKey, ...params }) {
+  const qp = new URLSearchParams();
+  qp.set("api_key", apiKey);
+  qp.set("url", targetUrl);
+  for (const [k, v] of Object.entries(params)) {
+    if (v !== undefined && v !== null) qp.set(k, String(v));
+  }
+  return `${SCRAPERAPI_ENDPOINT}?${qp.toString()}`;
+}
+
+/**
+ * Playwright `proxy` launch option that sends a browser through ScraperAPI's
+ * proxy port; params ride in the username (scraperapi.country_code=us...).
+ * The proxy re-signs HTTPS, so the context needs ignoreHTTPSErrors.
+ */
+export function scraperApiProxy({ apiKey, ...params }) {
+  let username = "scraperapi";
+  for (const [k, v] of Object.entries(params)) {
+    if (v !== undefined && v !== null) username += `.${k}=${v}`;
+  }
+  return { server: SCRAPERAPI_PROXY, username, password: apiKey };
+}
+
+function scraperApiKey(cfg) {
+  return cfg.scraperApiKey || process.env.SCRAPERAPI_KEY || "";
+}
+
+function scraperApi(params) {
+  return {
+    available: (cfg) =>
+      Boolean(scraperApiKey(cfg)) || Boolean(cfg.cassette?.replay),
+    async fetch(url, cfg, parse) {
+      const apiUrl = scraperApiUrl(url, {
+        apiKey: scraperApiKey(cfg),
+        country_code: cfg.countryCode || "us",
+        ...params,
+      });
+      try {
+        return await fetchText(apiUrl, {
+          timeoutMs: Math.max(cfg.timeoutMs, SCRAPERAPI_MIN_TIMEOUT_MS),
+          retries: cfg.retries,
+          retryDelayMs: cfg.retryDelayMs,
+          parse,
+          cassette: cfg.cassette,
+        });
+      } catch (e) {
+        // ScraperAPI answers 5xx when it could not get through itself
+        if (e?.status >= 500) e.blocked = true;
+        throw e;
+      }
+    },
+  };
+}
+
+export const PROVIDERS = {
+  direct: {
+    available: () => true,
+    fetch: (url, cfg, parse) =>
+      fetchText(url, {
+        timeoutMs: cfg.timeoutMs,
+        retries: cfg.retries,
+        retryDelayMs: cfg.retryDelayMs,
+        headers: {
+          accept: "application/json, text/plain, */*",
+          ...(cfg.referer ? { referer: cfg.referer } : {}),
+        },
+        parse,
+        cassette: cfg.cassette,
+      }),
+  },
+  scraperapi: scraperApi({}),
+  scraperapi_premium: scraperApi({ premium: true }),
+  scraperapi_ultra_render: scraperApi({ ultra_premium: true, render: true }),
+  browser: {
+    available: (cfg) => typeof cfg.newPage === "function",
+    async fetch(url, cfg, parse) {
+      const page = await cfg.newPage();
+      try {
+        const res = await page.goto(url, {
+          waitUntil: "domcontentloaded",
+          timeout: cfg.browserTimeoutMs || cfg.timeoutMs,
+        });
+        const text = (await res?.text().catch(() => "")) || "";
+        if (!res?.ok()) {
+          const err = new Error(
+            `HTTP ${res?.status() ?? "?"} :: ${text.slice(0, 200)}`,
+          );
+          err.status = res?.status();
+          throw err;
+        }
+        return parse(text, res.status());
+      } finally {
+        await page.close().catch(() => {});
+      }
+    },
+  },
+};
+
+/**
+ * "direct,scraperapi_premium" -> ["direct", "scraperapi_premium"]
+ */
+export function parseChain(value) {
+  const chain = String(value || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  for (const name of chain) {
+    if (!PROVIDERS[name]) {
+      throw new Error(
+        `Unknown fetch provider: ${name} (use: ${Object.keys(PROVIDERS).join(", ")})`,
+      );
+    }
+  }
+  return chain;
+}
+
+/**
+ * cfg: site args ({ fetchChain, timeoutMs, retries, retryDelayMs, ... })
+ * plus optional `newPage` / `scraperApiKey`.
+ *
+ * Returns { json(url, { referer }), text(url, { referer }), provider }
+ * where `provider` is the name of the provider that served the last
+ * successful request.
+ */
+export function createFetcher(cfg) {
+  const chain = (cfg.fetchChain || ["direct"]).filter((name) =>
+    PROVIDERS[name]?.available(cfg),
+  );
+  if (!chain.length) {
+    throw new Error(
+      `No usable fetch provider in chain: ${(cfg.fetchChain || []).join(", ")}`,
+    );
+  }
+
+  let start = 0;
+
+  async function request(url, referer, parse) {
+    let lastErr;
+    for (let i = start; i < chain.length; i++) {
+      try {
+        const body = await PROVIDERS[chain[i]].fetch(
+          url,
+          { ...cfg, referer },
+          parse,
+        );
+        start = i;
+        fetcher.provider = chain[i];
+        return body;
+      } catch (e) {
+        lastErr = e;
+        if (!isBlockedError(e)) throw e;
+        if (i + 1 < chain.length) {
+          console.error(
+            `[fetch] ${chain[i]} blocked, escalating to ${chain[i + 1]}: ${url}`,
+          );
+        }
+      }
+    }
+    throw lastErr;
+  }
+
+  const fetcher = {
+    provider: null,
+    json: (url, { referer } = {}) => request(url, referer, parseJson),
+    text: (url, { referer } = {}) => request(url, referer, (text) => text),
+  };
+  return fetcher;
+}
@@ -0,0 +1,187 @@
+/**
+ * Selector health / markup drift
+ *
+ * A site rarely breaks loudly: a renamed hashed class (6pm `span.Ip-z`)
+ * just turns every price into null. health_check.js runs a few canary PDPs
+ * per site through the normal adapter and through probeSelectors(), and
+ * siteHealth() turns that into one verdict per retailer:
+ *
+ *   missing_fields          config fields whose selectors matched nothing
+ *                           on every canary page that loaded
+ *   zero_selectors          individual selectors that matched nothing
+ *                           (a dead fallback is worth cleaning up, not an
+ *                           alert on its own)
+ *   null_price_rate         share of variant rows without list or sale price
+ *   null_availability_rate  share of variant rows with UNKNOWN availability
+ *
+ * A site is "degraded" when a field went missing, a rate is above the
+ * threshold, or no canary could be extracted at all.
+ */
+
+import { BLOCK, classifyResponse } from "./block.js";
+import { fieldSpec } from "./selectors.js";
+import { AVAILABILITY } from "./variant.js";
+
+export const HEALTH = {
+  OK: "ok",
+  DEGRADED: "degraded",
+};
+
+// only present in some page states, a zero count there is not drift:
+//   oos_popup  after clicking an unavailable size
+//   listing    brand / category pages, canaries are PDPs
+const OPTIONAL = ["oos_popup", "listing"];
+
+// keys of a config that are not (lists of) selectors
+const NOT_SELECTORS = new Set([
+  "retailer",
+  "hosts",
+  "currency",
+  "decimal",
+  "adapter",
+  "product_id_pattern",
+  "name",
+  "selectors", // the spec's own list, already taken with its parent
+  "selector",
+  "attr",
+  "strip",
+  "first_line",
+  "in_stock",
+  "out_of_stock",
+  "id_attr",
+  "name_attr",
+  "name_closest",
+  "label_attr",
+  "unavailable_class",
+]);
+
+function isSelectorSpec(v) {
+  return (
+    typeof v === "string" ||
+    (Array.isArray(v) && v.every((s) => typeof s === "string")) ||
+    (v && typeof v === "object" && ("selectors" in v || "selector" in v))
+  );
+}
+
+/**
+ * Config -> [{ field: "fields.list_price", selectors: [...] }], one entry
+ * per selector field (nested ones like colors.selected_label included).
+ */
+export function selectorFields(config) {
+  const out = [];
+  const walk = (node, prefix) => {
+    for (const [k, v] of Object.entries(node || {})) {
+      if (NOT_SELECTORS.has(k)) continue;
+      const field = prefix ? `${prefix}.${k}` : k;
+      if (isSelectorSpec(v)) {
+        out.push({ field, selectors: fieldSpec(v).selectors });
+      }
+      if (v && typeof v === "object" && !Array.isArray(v)) walk(v, field);
+    }
+  };
+  walk(config, "");
+  return out;
+}
+
+function isOptional(field) {
+  return OPTIONAL.some((o) => field === o || field.startsWith(`${o}.`));
+}
+
+/**
+ * Load `url` and count the matches of every selector of the config.
+ * A page that is not OK (blocked, gone, ...) is reported with its reason
+ * and no counts: a CAPTCHA page says nothing about the markup.
+ */
+export async function probeSelectors(page, config, { url, timeoutMs }) {
+  const res = await page.goto(url, {
+    waitUntil: "domcontentloaded",
+    timeout: timeoutMs,
+  });
+  await page.waitForLoadState("networkidle").catch(() => {});
+
+  const status = res?.status() ?? null;
+  const body = await page.content().catch(() => "");
+  const reason = classifyResponse({ status, url, finalUrl: page.url(), body });
+  if (reason !== BLOCK.OK) return { url, reason, counts: null };
+
+  const counts = {};
+  for (const { field, selectors } of selectorFields(config)) {
+    counts[field] = {};
+    for (const sel of selectors) {
+      counts[field][sel] = await page
+        .locator(sel)
+        .count()
+        .catch(() => 0);
+    }
+  }
+  return { url, reason, counts };
+}
+
+function rate(n, total) {
+  return total ? Number((n / total).toFixed(3)) : null;
+}
+
+/**
+ * One retailer's verdict from its canary results.
+ *   products: extractWith() results (lib/run.js)
+ *   probes:   probeSelectors() results (empty for JSON-only sites)
+ */
+export function siteHealth({ retailer, products, probes = [], threshold }) {
+  const variants = products.flatMap((p) => p.variants || []);
+  const nullPrice = variants.filter(
+    (v) => v.list_price === null && v.sale_price === null,
+  ).length;
+  const nullAvailability = variants.filter(
+    (v) => v.availability === AVAILABILITY.UNKNOWN,
+  ).length;
+
+  const loaded = probes.filter((p) => p.counts);
+  const zeroSelectors = new Set();
+  const missingFields = [];
+  if (loaded.length) {
+    for (const field of Object.keys(loaded[0].counts)) {
+      const sels = Object.keys(loaded[0].counts[field]);
+      for (const sel of sels) {
+        if (loaded.every((p) => !p.counts[field][sel])) {
+          zeroSelectors.add(`${field}: ${sel}`);
+        }
+      }
+      const anyMatch = loaded.some((p) =>
+        sels.some((sel) => p.counts[field][sel]),
+      );
+      if (!anyMatch && !isOptional(field)) missingFields.push(field);
+    }
+  }
+
+  const health = {
+    retailer,
+    canaries: products.length,
+    extracted: products.filter((p) => p.ok).length,
+    pages_probed: loaded.length,
+    pages_not_ok: probes
+      .filter((p) => !p.counts)
+      .map((p) => `${p.reason} ${p.url}`),
+    rows: variants.length,
+    null_price_rate: rate(nullPrice, variants.length),
+    null_availability_rate: rate(nullAvailability, variants.length),
+    missing_fields: missingFields,
+    zero_selectors: [...zeroSelectors],
+    status: HEALTH.OK,
+    reasons: [],
+  };
+
+  if (!health.extracted) health.reasons.push("no canary extracted");
+  if (missingFields.length) {
+    health.reasons.push(`selectors gone: ${missingFields.join(", ")}`);
+  }
+  if (health.null_price_rate > threshold) {
+    health.reasons.push(`null price rate ${health.null_price_rate}`);
+  }
+  if (health.null_availability_rate > threshold) {
+    health.reasons.push(
+      `null availability rate ${health.null_availability_rate}`,
+    );
+  }
+  if (health.reasons.length) health.status = HEALTH.DEGRADED;
+  return health;
+}
@@ -0,0 +1,282 @@
+/**
+ * SQLite history store (optional --db sink of the bulk extractors)
+ *
+ * Appends every variant observation of a run, so price / stock history can
+ * be queried later (history_query.js) instead of being lost when ./out is
+ * overwritten.
+ *
+ * Tables:
+ *   products      one row per (retailer, product_id)
+ *   variants      one row per variantKey() - see lib/variant.js
+ *   observations  one row per variant per scrape (prices, stock, CTA)
+ *
+ * Uses sql.js (SQLite compiled to WebAssembly): no native build, the whole
+ * file is loaded, updated in memory and written back on save(). So that
+ * two runs can't overwrite each other's rows, a writer holds <db>.lock from
+ * open to close and a second writer fails at once; save() writes a temp
+ * file and renames it over the db, so readers never see half a file.
+ */
+
+import fs from "fs";
+import path from "path";
+import initSqlJs from "sql.js";
+import { ensureDir } from "./util.js";
+import { variantKey } from "./variant.js";
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS products (
+  retailer      TEXT NOT NULL,
+  product_id    TEXT NOT NULL,
+  product_name  TEXT,
+  brand         TEXT,
+  first_seen    TEXT NOT NULL,
+  last_seen     TEXT NOT NULL,
+  PRIMARY KEY (retailer, product_id)
+);
+
+CREATE TABLE IF NOT EXISTS variants (
+  id            INTEGER PRIMARY KEY AUTOINCREMENT,
+  variant_key   TEXT NOT NULL UNIQUE,
+  retailer      TEXT NOT NULL,
+  product_id    TEXT NOT NULL,
+  variant_id    TEXT,
+  color_id      TEXT,
+  color_name    TEXT,
+  size_id       TEXT,
+  size_label    TEXT,
+  upc           TEXT,
+  first_seen    TEXT NOT NULL,
+  last_seen     TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS observations (
+  id            INTEGER PRIMARY KEY AUTOINCREMENT,
+  variant_ref   INTEGER NOT NULL REFERENCES variants(id),
+  observed_at   TEXT NOT NULL,
+  input_sku     TEXT,
+  input_url     TEXT,
+  list_price    REAL,
+  sale_price    REAL,
+  currency      TEXT,
+  availability  TEXT NOT NULL,
+  cta           TEXT,
+  UNIQUE (variant_ref, observed_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_variants_product
+  ON variants (retailer, product_id);
+`;
+
+/**
+ * Create <db>.lock or fail when another run holds it.
+ */
+function takeLock(dbPath) {
+  const lockPath = `${dbPath}.lock`;
+  ensureDir(path.dirname(dbPath));
+  try {
+    fs.writeFileSync(lockPath, String(process.pid), { flag: "wx" });
+  } catch (e) {
+    if (e?.code !== "EEXIST") throw e;
+    const holder = fs.readFileSync(lockPath, "utf-8").trim();
+    throw new Error(
+      `History db ${dbPath} is in use by another run (pid ${holder || "?"}); delete ${lockPath} if that run is gone.`,
+    );
+  }
+  return lockPath;
+}
+
+/**
+ * opts.readOnly: no lock, save() is not allowed (history_query.js).
+ */
+export async function openHistory(dbPath, { readOnly = false } = {}) {
+  const lockPath = readOnly ? null : takeLock(dbPath);
+  let db;
+  try {
+    const SQL = await initSqlJs();
+    db = fs.existsSync(dbPath)
+      ? new SQL.Database(fs.readFileSync(dbPath))
+      : new SQL.Database();
+    db.exec(SCHEMA);
+  } catch (e) {
+    if (lockPath) fs.rmSync(lockPath, { force: true });
+    throw e;
+  }
+
+  function all(sql, params = {}) {
+    const stmt = db.prepare(sql);
+    try {
+      stmt.bind(params);
+      const rows = [];
+      while (stmt.step()) rows.push(stmt.getAsObject());
+      return rows;
+    } finally {
+      stmt.free();
+    }
+  }
+
+  return {
+    db,
+    all,
+
+    /**
+     * Insert one run worth of canonical variants. Error rows are skipped;
+     * an observation already stored (same variant + scraped_at, e.g. rows
+     * reused from a --resume journal) is ignored.
+     */
+    record(variants) {
+      let added = 0;
+      db.exec("BEGIN");
+      try {
+        for (const v of variants) {
+          if (v.error || !v.product_id) continue;
+          const at = v.scraped_at;
+
+          db.run(
+            `INSERT INTO products (retailer, product_id, product_name, brand, first_seen, last_seen)
+             VALUES ($retailer, $pid, $name, $brand, $at, $at)
+             ON CONFLICT (retailer, product_id) DO UPDATE SET
+               product_name = COALESCE(excluded.product_name, product_name),
+               brand = COALESCE(excluded.brand, brand),
+               first_seen = MIN(first_seen, excluded.first_seen),
+               last_seen = MAX(last_seen, excluded.last_seen)`,
+            {
+              $retailer: v.retailer,
+              $pid: v.product_id,
+              $name: v.product_name,
+              $brand: v.brand,
+              $at: at,
+            },
+          );
+
+          db.run(
+            `INSERT INTO variants (variant_key, retailer, product_id, variant_id, color_id, color_name, size_id, size_label, upc, first_seen, last_seen)
+             VALUES ($key, $retailer, $pid, $vid, $cid, $cname, $sid, $slabel, $upc, $at, $at)
+             ON CONFLICT (variant_key) DO UPDATE SET
+               variant_id = COALESCE(excluded.variant_id, variant_id),
+               color_name = COALESCE(excluded.color_name, color_name),
+               size_label = COALESCE(excluded.size_label, size_label),
+               upc = COALESCE(excluded.upc, upc),
+               first_seen = MIN(first_seen, excluded.first_seen),
+               last_seen = MAX(last_seen, excluded.last_seen)`,
+            {
+              $key: variantKey(v),
+              $retailer: v.retailer,
+              $pid: v.product_id,
+              $vid: v.variant_id,
+              $cid: v.color_id,
+              $cname: v.color_name,
+              $sid: v.size_id,
+              $slabel: v.size_label,
+              $upc: v.upc,
+              $at: at,
+            },
+          );
+
+          db.run(
+            `INSERT OR IGNORE INTO observations (variant_ref, observed_at, input_sku, input_url, list_price, sale_price, currency, availability, cta)
+             SELECT id, $at, $sku, $url, $list, $sale, $currency, $availability, $cta
+             FROM variants WHERE variant_key = $key`,
+            {
+              $key: variantKey(v),
+              $at: at,
+              $sku: v.input_sku,
+              $url: v.input_url,
+              $list: v.list_price,
+              $sale: v.sale_price,
+              $currency: v.currency,
+              $availability: v.availability,
+              $cta: v.cta,
+            },
+          );
+          added += db.getRowsModified();
+        }
+        db.exec("COMMIT");
+      } catch (e) {
+        db.exec("ROLLBACK");
+        throw e;
+      }
+      return added;
+    },
+
+    save() {
+      if (readOnly) throw new Error(`History db ${dbPath} opened read-only.`);
+      const tmp = `${dbPath}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, Buffer.from(db.export()));
+      fs.renameSync(tmp, dbPath);
+    },
+
+    close() {
+      db.close();
+      if (lockPath) fs.rmSync(lockPath, { force: true });
+    },
+  };
+}
+
+/**
+ * One-shot sink used by the bulk scripts: open, append, save, close.
+ */
+export async function appendToHistory(dbPath, variants) {
+  const history = await openHistory(dbPath);
+  try {
+    const added = history.record(variants);
+    history.save();
+    return added;
+  } finally {
+    history.close();
+  }
+}
+
+/* --------------------------------- QUERIES -------------------------------- */
+
+// optional filters; product_id is the only required one
+function variantFilter({ retailer, productId, colorId, sizeId }) {
+  const where = ["v.product_id = $pid"];
+  const params = { $pid: productId };
+  if (retailer) {
+    where.push("v.retailer = $retailer");
+    params.$retailer = retailer;
+  }
+  if (colorId) {
+    where.push("COALESCE(v.color_id, v.color_name) = $color");
+    params.$color = colorId;
+  }
+  if (sizeId) {
+    where.push("COALESCE(v.size_id, v.size_label) = $size");
+    params.$size = sizeId;
+  }
+  return { where: where.join(" AND "), params };
+}
+
+/**
+ * Every observation of the matching variant(s), oldest first.
+ */
+export function priceHistory(history, filter) {
+  const { where, params } = variantFilter(filter);
+  return history.all(
+    `SELECT v.retailer, v.product_id, v.color_id, v.color_name, v.size_id, v.size_label,
+            o.observed_at, o.list_price, o.sale_price, o.currency, o.availability, o.cta
+     FROM observations o JOIN variants v ON v.id = o.variant_ref
+     WHERE ${where}
+     ORDER BY v.variant_key, o.observed_at`,
+    params,
+  );
+}
+
+/**
+ * Per matching variant: first observation with availability IN_STOCK
+ * (null first_in_stock = never seen in stock).
+ */
+export function firstInStock(history, filter) {
+  const { where, params } = variantFilter(filter);
+  return history.all(
+    `SELECT v.retailer, v.product_id, v.color_id, v.color_name, v.size_id, v.size_label,
+            v.first_seen,
+            MIN(CASE WHEN o.availability = 'IN_STOCK' THEN o.observed_at END) AS first_in_stock,
+            COUNT(o.id) AS observations
+     FROM variants v LEFT JOIN observations o ON o.variant_ref = v.id
+     WHERE ${where}
+     GROUP BY v.id
+     ORDER BY v.variant_key`,
+    params,
+  );
+}
@@ -0,0 +1,104 @@
+/**
+ * JSON fetch with timeout + retries, shared by the JSON-API adapters
+ * (Demandware for Michael Kors, /api/products for the Tapestry outlets).
+ */
+
+import { BLOCK, blockError, classifyResponse } from "./block.js";
+import { sleep } from "./util.js";
+
+export const USER_AGENT =
+  "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122 Safari/537.36";
+
+/**
+ * True for responses another provider may get past (lib/fetch.js):
+ * AKAMAI_BLOCK / CAPTCHA from the classifier (lib/block.js), provider
+ * give-ups flagged `blocked` (e.g. ScraperAPI 5xx), and plain 403/429.
+ */
+export function isBlockedError(e) {
+  if (e?.blocked) return true;
+  if (e?.status === 403 || e?.status === 429) return true;
+  return /access denied/i.test(String(e?.message || ""));
+}
+
+export function parseJson(text, status) {
+  try {
+    return JSON.parse(text);
+  } catch (_) {
+    const err = new Error(`Non-JSON response :: ${text.slice(0, 200)}`);
+    err.status = status;
+    throw err;
+  }
+}
+
+/**
+ * GET with timeout + retries; `parse` runs inside the retry loop so a
+ * truncated / non-JSON body is retried like a network error. With a
+ * `cassette` (lib/cassette.js) the request is recorded or replayed.
+ */
+export async function fetchText(
+  url,
+  {
+    timeoutMs,
+    retries,
+    retryDelayMs,
+    headers = {},
+    parse = (text) => text,
+    cassette = null,
+  },
+) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    let lastErr;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      try {
+        const res = await (cassette ? cassette.fetch : fetch)(url, {
+          method: "GET",
+          headers: {
+            "accept-language": "en-US,en;q=0.9",
+            "user-agent": USER_AGENT,
+            ...headers,
+          },
+          signal: controller.signal,
+        });
+
+        const text = await res.text().catch(() => "");
+        const detail = `HTTP ${res.status} ${res.statusText} :: ${text.slice(0, 200)}`;
+        const classify = () =>
+          classifyResponse({
+            status: res.status,
+            url,
+            finalUrl: res.url,
+            body: text,
+          });
+
+        if (!res.ok) {
+          const reason = classify();
+          if (reason !== BLOCK.OK) throw blockError(reason, detail, res.status);
+          const err = new Error(detail);
+          err.status = res.status;
+          throw err;
+        }
+
+        try {
+          return parse(text, res.status);
+        } catch (e) {
+          // a 200 that isn't what we asked for: say why if we can tell
+          const reason = classify();
+          if (reason !== BLOCK.OK) throw blockError(reason, detail, res.status);
+          throw e;
+        }
+      } catch (e) {
+        lastErr = e;
+        // retrying a block or a classified dead end only burns time
+        if (isBlockedError(e)) break;
+        if (e?.reason && e.reason !== BLOCK.EMPTY_RENDER) break;
+        if (attempt < retries) await sleep(retryDelayMs * (attempt + 1));
+      }
+    }
+    throw lastErr;
+  } finally {
+    clearTimeout(timer);
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * Checkpoint journal for bulk runs
+ *
+ * One JSON line per finished input row, appended as soon as the row is done:
+ *   {"key":"<sku>\t<url>","ok":true,"at":"...","result":{...}}
+ *
+ * A crash therefore loses at most the rows that were in flight. The final
+ * combined JSON / CSV is rebuilt from the journal (last entry per key wins),
+ * in input order, so resumed and retried runs produce the same files as an
+ * uninterrupted one.
+ *
+ * Modes:
+ *   (default)       fresh run, journal is truncated
+ *   --resume        skip rows already in the journal (ok or failed)
+ *   --retry-failed  redo only rows whose last entry failed
+ *   both            redo failed rows AND run rows never attempted
+ */
+
+import fs from "fs";
+
+export function journalKey({ sku, url }) {
+  return `${sku}\t${url}`;
+}
+
+export function openJournal(
+  filePath,
+  { resume = false, retryFailed = false } = {},
+) {
+  const entries = new Map();
+
+  if ((resume || retryFailed) && fs.existsSync(filePath)) {
+    const text = fs.readFileSync(filePath, "utf-8");
+    // torn last line from a crash mid-write: cut it off, or the next
+    // record() would be appended to it and be unreadable too
+    const end = text.lastIndexOf("\n") + 1;
+    if (end < text.length) {
+      fs.truncateSync(filePath, Buffer.byteLength(text.slice(0, end)));
+    }
+    for (const line of text.slice(0, end).split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        const e = JSON.parse(line);
+        entries.set(e.key, e);
+      } catch (_) {
+        // a line damaged some other way: that row just runs again
+      }
+    }
+  } else {
+    fs.writeFileSync(filePath, "", "utf-8");
+  }
+
+  return {
+    filePath,
+
+    /**
+     * Rows that still have to run in this mode.
+     */
+    pending(items, keyOf = journalKey) {
+      return items.filter((it) => {
+        const e = entries.get(keyOf(it));
+        if (!e) return resume || !retryFailed;
+        return retryFailed && !e.ok;
+      });
+    },
+
+    record(key, ok, result) {
+      const e = { key, ok: Boolean(ok), at: new Date().toISOString(), result };
+      entries.set(key, e);
+      fs.appendFileSync(filePath, JSON.stringify(e) + "\n", "utf-8");
+    },
+
+    /**
+     * Latest result per input row, input order, rows never run left out.
+     */
+    results(items, keyOf = journalKey) {
+      return items
+        .map((it) => entries.get(keyOf(it)))
+        .filter(Boolean)
+        .map((e) => e.result);
+    },
+  };
+}
@@ -0,0 +1,200 @@
+/**
+ * Price text -> { amount, currency, raw, was, range }
+ *
+ * Prices reach us as Demandware numbers, itemprop="price" content
+ * ("63.97"), display text ("MSRP: $79", "Was $79 Now $49", "$49 - $79")
+ * and Italian size tables ("1.299,00 €"). parsePrice() reads all of them:
+ *
+ *   "€1.299,00"         -> 1299     EUR
+ *   "₹ 24,500.00"       -> 24500    INR
+ *   "12,50"             -> 12.5
+ *   "MSRP: $79"         -> 79       USD
+ *   "Was $79 Now $49"   -> 49       USD   was 79
+ *   "$79.00 $49.00"     -> 49       USD   was 79 (strikethrough + sale)
+ *   "$49 - $79"         -> 49       USD   range [49, 79]
+ *
+ * Separators: with both "." and "," the last one is the decimal point;
+ * with one kind, 1-2 digits after it mean decimals and exactly 3 mean
+ * thousands ("1.299" -> 1299) unless `decimal` says otherwise. "$" is USD
+ * unless the `currency` hint is another dollar (CAD / AUD site).
+ */
+
+// ISO codes we see on the sites, matched as whole words
+const ISO_CODES = [
+  "USD",
+  "EUR",
+  "GBP",
+  "INR",
+  "CAD",
+  "AUD",
+  "AED",
+  "JPY",
+  "CHF",
+];
+
+// checked in order: longer symbols before the "$" they contain
+const SYMBOLS = [
+  ["US$", "USD"],
+  ["CA$", "CAD"],
+  ["C$", "CAD"],
+  ["AU$", "AUD"],
+  ["A$", "AUD"],
+  ["€", "EUR"],
+  ["£", "GBP"],
+  ["₹", "INR"],
+  ["Rs.", "INR"],
+  ["د.إ", "AED"],
+  ["¥", "JPY"],
+];
+
+const DOLLARS = new Set(["USD", "CAD", "AUD"]);
+
+// 1.299,00 / 24,500.00 / 1 299,00 / 1'299.00 (grouped) or 1299.00 / 12,50
+const NUMBER = /\d{1,3}(?:[ '.,]\d{3})+(?:[.,]\d+)?|\d+(?:[.,]\d+)?/g;
+
+const WAS_LABEL =
+  /\b(was|msrp|original|orig\.?|list|reg(ular)?|compare at)\b[^\d]*$/i;
+const NOW_LABEL = /\b(now|sale|price|our price)\b[^\d]*$/i;
+
+function detectCurrency(text, hint) {
+  const upper = String(text || "").toUpperCase();
+  for (const code of ISO_CODES) {
+    if (new RegExp(`\\b${code}\\b`).test(upper)) return code;
+  }
+  for (const [symbol, code] of SYMBOLS) {
+    if (text.includes(symbol)) return code;
+  }
+  if (text.includes("$")) return DOLLARS.has(hint) ? hint : "USD";
+  return null;
+}
+
+/**
+ * "1.299,00" -> 1299, "24,500.00" -> 24500, "12,50" -> 12.5
+ */
+export function toNumber(token, { decimal } = {}) {
+  let s = String(token || "").replace(/[ ']/g, "");
+  if (!s) return null;
+
+  const lastDot = s.lastIndexOf(".");
+  const lastComma = s.lastIndexOf(",");
+  if (lastDot !== -1 && lastComma !== -1) {
+    const dec = lastDot > lastComma ? "." : ",";
+    const group = dec === "." ? "," : ".";
+    s = s.split(group).join("").replace(dec, ".");
+  } else if (lastDot !== -1 || lastComma !== -1) {
+    const sep = lastDot !== -1 ? "." : ",";
+    const parts = s.split(sep);
+    const thousands =
+      parts.length > 2 || (parts[1].length === 3 && decimal !== sep);
+    s = thousands ? parts.join("") : parts.join(".");
+  }
+
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Number tokens of the text with the label / currency around each.
+ */
+function readTokens(text, opts) {
+  const tokens = [];
+  let prevEnd = 0;
+  for (const m of text.matchAll(NUMBER)) {
+    const end = m.index + m[0].length;
+    const after = text.slice(end, end + 5);
+    if (/^\s*%/.test(after)) {
+      prevEnd = end;
+      continue; // "30% off"
+    }
+    const before = text.slice(prevEnd, m.index);
+    tokens.push({
+      amount: toNumber(m[0], opts),
+      before,
+      currency: detectCurrency(
+        `${before.slice(-5)} ${after.replace(/\d.*$/, "")}`,
+        opts.currency,
+      ),
+      label: WAS_LABEL.test(before)
+        ? "was"
+        : NOW_LABEL.test(before)
+          ? "now"
+          : null,
+    });
+    prevEnd = end;
+  }
+  return tokens.filter((t) => t.amount !== null);
+}
+
+function isRangeGap(gap) {
+  const bare = SYMBOLS.reduce((s, [symbol]) => s.split(symbol).join(""), gap)
+    .replace(/\$|\b[A-Z]{3}\b/g, "")
+    .trim();
+  return /^([-–—]|to)$/i.test(bare);
+}
+
+/**
+ * Any price value -> { amount, currency, raw, was, range }.
+ *   amount    the price to use (the "now" price of was/now text, the low
+ *             end of a range), null when the text holds no number
+ *   currency  ISO code from the text, else the `currency` hint
+ *   was       the crossed-out price of was/now text, else null
+ *   range     [low, high] for "$49 - $79", else null
+ * opts: { currency: "EUR", decimal: "," } - hints for ambiguous input
+ */
+export function parsePrice(value, opts = {}) {
+  const result = {
+    amount: null,
+    currency: opts.currency || null,
+    raw: value ?? null,
+    was: null,
+    range: null,
+  };
+  if (value === null || value === undefined) return result;
+  if (typeof value === "number") {
+    if (Number.isFinite(value)) result.amount = value;
+    return result;
+  }
+
+  const text = String(value)
+    .replace(/[\u00a0\u202f\u2009]/g, " ")
+    .trim();
+  const tokens = readTokens(text, opts);
+  if (!tokens.length) return result;
+
+  result.currency =
+    tokens.find((t) => t.currency)?.currency ||
+    detectCurrency(text, opts.currency) ||
+    result.currency;
+
+  const [first, second] = tokens;
+  const now = tokens.find((t) => t.label === "now");
+  const was = tokens.find((t) => t.label === "was");
+  const plain = tokens.filter((t) => !t.label);
+
+  if (tokens.length === 2 && isRangeGap(second.before)) {
+    const [lo, hi] = [first.amount, second.amount].sort((a, b) => a - b);
+    result.amount = lo;
+    result.range = [lo, hi];
+  } else if (now) {
+    result.amount = now.amount;
+    result.was = was?.amount ?? null;
+  } else if (was && plain.length) {
+    result.amount = plain[0].amount;
+    result.was = was.amount;
+  } else if (tokens.length === 2 && plain.length === 2) {
+    // strikethrough list price followed by the sale price
+    result.amount = Math.min(first.amount, second.amount);
+    result.was = Math.max(first.amount, second.amount);
+    if (result.was === result.amount) result.was = null;
+  } else {
+    result.amount = first.amount; // "MSRP: $79" is the list price asked for
+  }
+  return result;
+}
+
+/**
+ * parsePrice(...).amount, for callers that only keep the number.
+ */
+export function parseAmount(value, opts) {
+  return parsePrice(value, opts).amount;
+}
@@ -0,0 +1,138 @@
+/**
+ * Cross-region price comparison on canonical variant records.
+ *
+ * The same style pulled from several storefronts (MK us / uk / in ...) is
+ * matched per variant by (product_id, color, size) - variantKey() without
+ * the retailer. Prices are converted into one base currency with a rates
+ * file we supply:
+ *
+ *   currency,rate        rate = value of 1 unit in the base currency
+ *   EUR,1.08             (base USD: 1 EUR = 1.08 USD)
+ *   INR,0.012
+ *
+ * cheapest_region / spread only look at regions where the variant is in
+ * stock: a price you can't buy is no arbitrage.
+ */
+
+import { readCSVRows } from "./csv.js";
+import { AVAILABILITY, variantKey } from "./variant.js";
+
+export function readRates(filePath, base) {
+  const rates = { [base]: 1 };
+  for (const r of readCSVRows(filePath)) {
+    const currency = String(r.currency || "")
+      .trim()
+      .toUpperCase();
+    const rate = Number(r.rate);
+    if (currency && Number.isFinite(rate) && rate > 0) rates[currency] = rate;
+  }
+  return rates;
+}
+
+export function toBase(amount, currency, rates) {
+  if (amount === null || amount === undefined || !currency) return null;
+  const rate = rates[String(currency).toUpperCase()];
+  if (!rate) return null;
+  return Math.round(amount * rate * 100) / 100;
+}
+
+/**
+ * Column list for the given regions (region columns follow the fixed ones).
+ */
+export function regionFields(regions, base) {
+  const b = base.toLowerCase();
+  return [
+    "product_id",
+    "product_name",
+    "color_id",
+    "color_name",
+    "size_id",
+    "size_label",
+    "size_norm",
+    "regions_in_stock",
+    "cheapest_region",
+    `cheapest_price_${b}`,
+    `highest_price_${b}`,
+    `spread_${b}`,
+    "spread_pct",
+    ...regions.flatMap((r) => [
+      `${r}_price`,
+      `${r}_currency`,
+      `${r}_price_${b}`,
+      `${r}_availability`,
+    ]),
+  ];
+}
+
+/**
+ * byRegion: { us: variants[], in: variants[], ... } (toVariants output)
+ * -> { rows, missingRates } with one row per variant seen in any region.
+ */
+export function compareRegions(byRegion, { rates, base }) {
+  const b = base.toLowerCase();
+  const regions = Object.keys(byRegion);
+  const missingRates = new Set();
+  const byVariant = new Map();
+
+  for (const region of regions) {
+    for (const v of byRegion[region]) {
+      if (v.error || !v.product_id) continue;
+      const key = variantKey({ ...v, retailer: "" });
+      if (!byVariant.has(key)) byVariant.set(key, { first: v, seen: {} });
+      byVariant.get(key).seen[region] = v;
+    }
+  }
+
+  const rows = [];
+  for (const { first, seen } of byVariant.values()) {
+    const row = {
+      product_id: first.product_id,
+      product_name: first.product_name,
+      color_id: first.color_id,
+      color_name: first.color_name,
+      size_id: first.size_id,
+      size_label: first.size_label,
+      size_norm: first.size_norm,
+    };
+
+    const buyable = [];
+    for (const region of regions) {
+      const v = seen[region];
+      const price = v ? (v.sale_price ?? v.list_price) : null;
+      const converted = v ? toBase(price, v.currency, rates) : null;
+      if (v && price !== null && converted === null && v.currency) {
+        missingRates.add(v.currency);
+      }
+      row[`${region}_price`] = price;
+      row[`${region}_currency`] = v?.currency ?? null;
+      row[`${region}_price_${b}`] = converted;
+      row[`${region}_availability`] = v?.availability ?? null;
+      if (converted !== null && v.availability === AVAILABILITY.IN_STOCK) {
+        buyable.push({ region, converted });
+      }
+    }
+
+    buyable.sort((x, y) => x.converted - y.converted);
+    const low = buyable[0];
+    const high = buyable[buyable.length - 1];
+    row.regions_in_stock = buyable.map((x) => x.region).join(" ");
+    row.cheapest_region = low?.region ?? null;
+    row[`cheapest_price_${b}`] = low?.converted ?? null;
+    row[`highest_price_${b}`] = high?.converted ?? null;
+    row[`spread_${b}`] =
+      buyable.length > 1
+        ? Math.round((high.converted - low.converted) * 100) / 100
+        : null;
+    row.spread_pct =
+      buyable.length > 1 && low.converted
+        ? Math.round(
+            ((high.converted - low.converted) / low.converted) * 1000,
+          ) / 10
+        : null;
+    rows.push(row);
+  }
+
+  // biggest arbitrage first
+  rows.sort((x, y) => (y.spread_pct ?? -1) - (x.spread_pct ?? -1));
+  return { rows, missingRates: [...missingRates] };
+}
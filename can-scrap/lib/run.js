@@ -0,0 +1,237 @@
+/**
+ * Bulk run loop shared by scrape.js and the per-site bulk scripts.
+ *
+ *   items (sku,url) -> adapter.extract -> adapter.toVariants
+ *
+ * Output layout (same for every caller, only the base name differs):
+ *   <out>/<name>.json           products (with their canonical variants)
+ *   <out>/<name>.csv            canonical variant rows (lib/variant.js)
+ *   <out>/<name>.rejected.json  rows that failed validation (if any)
+ *   <out>/<name>.journal.jsonl  checkpoint journal (lib/journal.js)
+ *
+ * The 6pm scripts keep their own flat-row files (writeFlatOutputs).
+ */
+
+import fs from "fs";
+import path from "path";
+import { rowsToCSV } from "./csv.js";
+import { journalKey } from "./journal.js";
+import { mapLimit } from "./util.js";
+import { VARIANT_FIELDS, makeVariant, partitionVariants } from "./variant.js";
+
+export function errorResult(retailer, { sku, url }, error) {
+  return {
+    ok: false,
+    retailer,
+    input_sku: sku,
+    input_url: url,
+    error,
+    variants: [
+      makeVariant({ retailer, input_sku: sku, input_url: url, error }),
+    ],
+  };
+}
+
+export async function extractWith(adapter, item, ctx) {
+  try {
+    const { flatRows, ...one } = await adapter.extract(item, ctx);
+    // optional --swatches step (lib/swatch.js)
+    if (ctx.swatches && flatRows?.length) await ctx.swatches.annotate(flatRows);
+    const variants = adapter.toVariants({ ...one, flatRows });
+    if (!variants.length) {
+      return errorResult(
+        adapter.retailer,
+        item,
+        one.error || "No variants extracted.",
+      );
+    }
+    console.error(
+      `[${adapter.retailer}] ${item.sku} -> ${variants.length} variants`,
+    );
+    // adapters serving several stores (6pm / zappos) tag the product
+    return { ...one, retailer: one.retailer || adapter.retailer, variants };
+  } catch (e) {
+    console.error(`[${adapter.retailer}] ${item.sku} failed:`, e?.message);
+    return errorResult(adapter.retailer, item, String(e?.message || e));
+  }
+}
+
+/**
+ * Crawl mode: replace every listing row (adapter.isListingUrl) with the PDP
+ * rows adapter.expand() finds for it. PDP urls are deduped across the whole
+ * input; a listing that cannot be crawled is kept so it ends up as an error
+ * row.
+ */
+export async function expandItems({ items, resolveAdapter, ctx }) {
+  const out = [];
+  const seen = new Set();
+  const push = (item) => {
+    if (seen.has(item.url)) return;
+    seen.add(item.url);
+    out.push(item);
+  };
+
+  for (const item of items) {
+    const adapter = resolveAdapter(item);
+    if (typeof adapter === "string" || !adapter.expand) {
+      push(item);
+      continue;
+    }
+    if (!adapter.isListingUrl(item.url)) {
+      push(item);
+      continue;
+    }
+
+    try {
+      const found = await adapter.expand(item, ctx);
+      console.error(
+        `[${adapter.retailer}] ${item.url} -> ${found.length} PDP urls`,
+      );
+      found.forEach(push);
+    } catch (e) {
+      console.error(`[${adapter.retailer}] crawl failed:`, e?.message);
+      push(item);
+    }
+  }
+  return out;
+}
+
+/**
+ * A row counts as done only if the product and every variant came back
+ * without error; anything else is picked up again by --retry-failed.
+ */
+export function isComplete(result) {
+  return Boolean(result.ok) && result.variants.every((v) => !v.error);
+}
+
+/**
+ * resolveAdapter(item) -> adapter module, or an error string when the row
+ * cannot be handled.
+ *
+ * With a journal (lib/journal.js) only its pending rows are extracted, each
+ * result is checkpointed as soon as it is done, and the returned list is
+ * rebuilt from the journal so it also covers rows of earlier runs.
+ */
+export async function runBulk({
+  items,
+  resolveAdapter,
+  ctx,
+  productConcurrency,
+  journal = null,
+}) {
+  const todo = journal ? journal.pending(items) : items;
+  if (journal) {
+    console.error(
+      `Journal: ${items.length - todo.length} rows reused, ${todo.length} to run`,
+    );
+  }
+
+  const processed = await mapLimit(todo, productConcurrency, async (item) => {
+    const adapter = resolveAdapter(item);
+    const result =
+      typeof adapter === "string"
+        ? errorResult("unknown", item, adapter)
+        : await extractWith(adapter, item, ctx);
+    journal?.record(journalKey(item), isComplete(result), result);
+    return result;
+  });
+
+  return journal ? journal.results(items) : processed;
+}
+
+export function journalPath(outDir, name) {
+  return path.join(outDir, `${name}.journal.jsonl`);
+}
+
+export function writeBulkOutputs({ outDir, name, processed }) {
+  const { valid, rejected } = partitionVariants(
+    processed.flatMap((p) => p.variants),
+  );
+
+  // write combined JSON
+  const jsonPath = path.join(outDir, `${name}.json`);
+  fs.writeFileSync(
+    jsonPath,
+    JSON.stringify(
+      { extracted_at: new Date().toISOString(), products: processed },
+      null,
+      2,
+    ),
+    "utf-8",
+  );
+
+  // write combined CSV
+  const csvPath = path.join(outDir, `${name}.csv`);
+  fs.writeFileSync(csvPath, rowsToCSV(VARIANT_FIELDS, valid), "utf-8");
+
+  const rejectedPath = path.join(outDir, `${name}.rejected.json`);
+  if (rejected.length) {
+    fs.writeFileSync(rejectedPath, JSON.stringify(rejected, null, 2), "utf-8");
+  }
+
+  return { jsonPath, csvPath, rejectedPath, valid, rejected };
+}
+
+/**
+ * 6pm_bulk.js / 6pm_visible_multiple_product.js: journal results
+ * ({ product } or { errorRow }) -> <name>.json, failed rows included so
+ * diff_runs.js sees them, and <name>.csv through the site's `toCSV`.
+ * Counts come from these final results, so after --retry-failed `failed`
+ * is what still fails, not what failed the first time.
+ */
+export function writeFlatOutputs({ outDir, name, results, toCSV }) {
+  const products = [];
+  const failed = [];
+  const rows = [];
+  for (const r of results) {
+    if (r.product) {
+      products.push(r.product);
+      rows.push(...r.product.flat_rows);
+    } else {
+      rows.push(r.errorRow);
+      failed.push({ ok: false, ...r.errorRow, flat_rows: [] });
+    }
+  }
+
+  const jsonPath = path.join(outDir, `${name}.json`);
+  fs.writeFileSync(
+    jsonPath,
+    JSON.stringify([...products, ...failed], null, 2),
+    "utf-8",
+  );
+
+  const csvPath = path.join(outDir, `${name}.csv`);
+  fs.writeFileSync(csvPath, toCSV(rows), "utf-8");
+
+  return { products, failed, rows, jsonPath, csvPath };
+}
+
+export function printSummary(
+  processed,
+  { jsonPath, csvPath, rejectedPath, valid, rejected },
+) {
+  const byRetailer = {};
+  for (const p of processed) {
+    const k = p.retailer;
+    byRetailer[k] = byRetailer[k] || { ok: 0, fail: 0 };
+    byRetailer[k][p.ok ? "ok" : "fail"]++;
+  }
+  for (const [k, v] of Object.entries(byRetailer)) {
+    console.error(`${k.padEnd(16)}: ${v.ok} ok / ${v.fail} failed`);
+  }
+  const byProvider = {};
+  for (const p of processed) {
+    if (p.fetch_provider)
+      byProvider[p.fetch_provider] = (byProvider[p.fetch_provider] || 0) + 1;
+  }
+  if (Object.keys(byProvider).length) {
+    const via = Object.entries(byProvider).map(([k, n]) => `${k} ${n}`);
+    console.error(`Fetched via   : ${via.join(", ")}`);
+  }
+  console.error(`CSV Rows      : ${valid.length}`);
+  if (rejected.length) {
+    console.error(`Rejected Rows : ${rejected.length} -> ${rejectedPath}`);
+  }
+  console.error(`Saved JSON    : ${jsonPath}`);
+  console.error(`Saved CSV     : ${csvPath}`);
+}
@@ -0,0 +1,72 @@
+/**
+ * Load the variants of a finished run from any output file this repo writes,
+ * always as canonical records (lib/variant.js):
+ *
+ *   scrape.csv / ks_bulk.csv / coach_bulk.csv   canonical CSV
+ *   scrape.json / ks_bulk.json / ...            { products: [{ variants }] }
+ *   bulk.json / bulk.csv                        mk_matrix_v5.js layout
+ *   6pm_all_products.json / .csv                6pm_visible_multiple_product.js
+ *
+ * A product that failed (ok:false, or no rows at all) comes back as one
+ * error variant, so diffRuns() (lib/diff.js) knows it failed and does not
+ * report its old variants as removed.
+ */
+
+import fs from "fs";
+import { readCSVRows } from "./csv.js";
+import { makeVariant } from "./variant.js";
+import * as sixpm from "../sites/6pm.js";
+import * as michaelkors from "../sites/michaelkors.js";
+
+function fromRows(rows, filePath) {
+  if (!rows.length) return [];
+  const cols = Object.keys(rows[0]);
+
+  if (cols.includes("availability") && cols.includes("product_id")) {
+    if (cols.includes("retailer")) return rows.map((r) => makeVariant(r));
+    return sixpm.toVariants({ flatRows: rows }); // 6pm legacy CSV
+  }
+  if (cols.includes("pid") && cols.includes("cta_type")) {
+    return michaelkors.toVariants({ flatRows: rows });
+  }
+  throw new Error(`Unrecognized run file layout: ${filePath}`);
+}
+
+function failedVariant(p, retailer) {
+  const url = p.input_url || p.url;
+  return makeVariant({
+    retailer: p.retailer || retailer(url),
+    input_sku: p.input_sku,
+    input_url: url,
+    product_id: p.pid || p.product_id,
+    error: p.error || "No variants extracted.",
+  });
+}
+
+const hasRows = (rows) => Array.isArray(rows) && rows.length > 0;
+
+export function loadRunVariants(filePath) {
+  if (filePath.endsWith(".csv")) {
+    return fromRows(readCSVRows(filePath), filePath);
+  }
+
+  const json = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+
+  // 6pm_all_products.json is a bare array of products with flat_rows
+  if (Array.isArray(json)) {
+    return json.flatMap((p) =>
+      p.ok !== false && hasRows(p.flat_rows)
+        ? sixpm.toVariants(p)
+        : [failedVariant(p, sixpm.retailerFor)],
+    );
+  }
+
+  const products = Array.isArray(json?.products) ? json.products : [];
+  return products.flatMap((p) => {
+    if (hasRows(p.variants)) return p.variants.map((v) => makeVariant(v));
+    if (p.ok !== false && hasRows(p.flatRows)) {
+      return michaelkors.toVariants(p);
+    }
+    return [failedVariant(p, () => michaelkors.retailer)];
+  });
+}
@@ -0,0 +1,297 @@
+/**
+ * Declarative per-site selectors (sites/selectors/<name>.json)
+ *
+ * Markup lives in config so a retailer changing its classes means editing
+ * JSON, not a script. Every field is a selector, a fallback list tried in
+ * order, or an object:
+ *
+ *   "title": "h1"
+ *   "brand": [".product-brand", "[itemprop=\"brand\"] [itemprop=\"name\"]"]
+ *   "sale_price": { "selectors": ["[itemprop=\"price\"]"], "attr": "content" }
+ *   "selected_label": { "selectors": [...], "strip": "^Color:\\s*" }
+ *   "cta": { "selectors": ["#add-to-cart"], "first_line": true }
+ *
+ * A config has:
+ *   retailer, hosts       who it is for
+ *   fields                title, brand, product_id, list_price, sale_price, ...
+ *   cta                   field + in_stock / out_of_stock text patterns
+ *   colors                swatch selectors + where the id / name is read from
+ *   sizes                 size button selectors + unavailable classes
+ *   currency, product_id_pattern, adapter ("generic" = no dedicated
+ *   adapter, sites/generic.js runs the config as is)
+ *   decimal               "," for sites printing 1.299,00 (lib/price.js)
+ *
+ * Configs are read in a Playwright page, so Playwright-only selectors
+ * (`:has-text()`) are fine.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { AVAILABILITY } from "./variant.js";
+
+export const CONFIG_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "sites",
+  "selectors",
+);
+
+/**
+ * "sel" | ["sel", ...] | { selectors, attr, strip, first_line }
+ *   -> { selectors: [...], attr, strip, first_line }
+ */
+export function fieldSpec(spec) {
+  if (!spec) return { selectors: [] };
+  if (typeof spec === "string") return { selectors: [spec] };
+  if (Array.isArray(spec)) return { selectors: spec };
+  const selectors = spec.selectors ?? spec.selector ?? [];
+  return {
+    ...spec,
+    selectors: Array.isArray(selectors) ? selectors : [selectors],
+  };
+}
+
+export function selectorList(spec) {
+  return fieldSpec(spec).selectors;
+}
+
+export function listSelectorConfigs() {
+  if (!fs.existsSync(CONFIG_DIR)) return [];
+  return fs
+    .readdirSync(CONFIG_DIR)
+    .filter((f) => f.endsWith(".json"))
+    .map((f) => f.replace(/\.json$/, ""))
+    .sort();
+}
+
+const loaded = new Map();
+
+export function loadSelectors(name) {
+  if (loaded.has(name)) return loaded.get(name);
+
+  const file = path.join(CONFIG_DIR, `${name}.json`);
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (e) {
+    throw new Error(`Bad selector config ${file}: ${e?.message || e}`);
+  }
+  if (!config.retailer || !config.fields) {
+    throw new Error(`Selector config ${file} needs "retailer" and "fields"`);
+  }
+  config.name = name;
+  loaded.set(name, config);
+  return config;
+}
+
+function clean(raw, spec) {
+  if (raw === null || raw === undefined) return null;
+  let t = String(raw);
+  if (spec.first_line) t = t.split("\n")[0];
+  t = t.replace(/\s+/g, " ").trim();
+  if (spec.strip) t = t.replace(new RegExp(spec.strip, "i"), "").trim();
+  return t || null;
+}
+
+/* ------------------------------- PLAYWRIGHT ------------------------------- */
+
+/**
+ * First selector that matches, as a locator (null when none does).
+ */
+export async function firstMatch(page, spec) {
+  for (const sel of selectorList(spec)) {
+    const loc = page.locator(sel);
+    if (await loc.count().catch(() => 0)) return loc;
+  }
+  return null;
+}
+
+/**
+ * Text (or `attr`) of the first selector that yields a non-empty value.
+ */
+export async function readField(page, spec) {
+  const s = fieldSpec(spec);
+  for (const sel of s.selectors) {
+    const loc = page.locator(sel).first();
+    if (!(await loc.count().catch(() => 0))) continue;
+    const raw = s.attr
+      ? await loc.getAttribute(s.attr).catch(() => null)
+      : await loc.innerText().catch(() => null);
+    const v = clean(raw, s);
+    if (v) return v;
+  }
+  return null;
+}
+
+/**
+ * CTA label -> AVAILABILITY.* using the config's text patterns.
+ */
+export function availabilityFromCta(label, cta = {}) {
+  const text = String(label || "");
+  if (!text) return AVAILABILITY.UNKNOWN;
+  const any = (patterns) =>
+    (patterns || []).some((p) => new RegExp(p, "i").test(text));
+  if (any(cta.out_of_stock)) return AVAILABILITY.OUT_OF_STOCK;
+  if (any(cta.in_stock)) return AVAILABILITY.IN_STOCK;
+  return AVAILABILITY.UNKNOWN;
+}
+
+export async function readCta(page, cta) {
+  const label = await readField(page, cta);
+  return { label, availability: availabilityFromCta(label, cta) };
+}
+
+/**
+ * Swatches of the current page, deduped: [{ index, color_id, color_name }]
+ * `index` is the position in the first matching selector, for clicking.
+ */
+export async function readColors(page, colors) {
+  const loc = await firstMatch(page, colors);
+  if (!loc) return { selector: null, colors: [] };
+  const spec = fieldSpec(colors);
+
+  const all = await loc
+    .evaluateAll(
+      (els, s) =>
+        els.map((el, index) => {
+          const named = s.name_closest ? el.closest(s.name_closest) : el;
+          const name = s.name_attr
+            ? named?.getAttribute(s.name_attr)
+            : named?.innerText;
+          return {
+            index,
+            color_id: s.id_attr ? el.getAttribute(s.id_attr) : null,
+            color_name: (name || "").trim() || null,
+          };
+        }),
+      spec,
+    )
+    .catch(() => []);
+
+  const seen = new Set();
+  const out = all.filter((c) => {
+    const key = c.color_id || c.color_name;
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  return { selector: loc, colors: out };
+}
+
+/**
+ * Size buttons of the current page: [{ size_label, unavailable }]
+ */
+export async function readSizes(page, sizes) {
+  const loc = await firstMatch(page, sizes);
+  if (!loc) return [];
+  const spec = fieldSpec(sizes);
+
+  return loc
+    .evaluateAll(
+      (els, s) =>
+        els
+          .map((el) => ({
+            size_label: (
+              (s.label_attr ? el.getAttribute(s.label_attr) : el.innerText) ||
+              ""
+            ).trim(),
+            unavailable:
+              (s.unavailable_class || []).some((c) =>
+                el.classList.contains(c),
+              ) ||
+              el.disabled === true ||
+              el.getAttribute("aria-disabled") === "true",
+          }))
+          .filter((x) => x.size_label),
+      spec,
+    )
+    .catch(() => []);
+}
+
+/**
+ * Generic color x size walker: clicks every swatch, reads the size buttons,
+ * CTA and prices for that color. Rows:
+ *   { color_id, color_name, size_label, available, cta_label,
+ *     list_price, sale_price, error }
+ * `available` is null when the color has no size buttons (CTA decides).
+ */
+export async function walkVariants(
+  page,
+  config,
+  { waitAfterClickMs = 1200 } = {},
+) {
+  const { selector, colors } = await readColors(page, config.colors);
+  const labelSpec = config.colors?.selected_label;
+
+  const readState = async () => ({
+    sizes: config.sizes ? await readSizes(page, config.sizes) : [],
+    cta: await readCta(page, config.cta),
+    list_price: await readField(page, config.fields.list_price),
+    sale_price: await readField(page, config.fields.sale_price),
+  });
+
+  // no swatches: a single-color product, read the page as it is
+  const targets = colors.length ? colors : [{ index: null }];
+
+  const rows = [];
+  for (const color of targets) {
+    let state = null;
+    let error = "";
+    try {
+      if (color.index !== null) {
+        await selector.nth(color.index).click({ timeout: 15000 });
+        if (labelSpec && color.color_name) {
+          // wait until the selected-color label shows this swatch (AJAX)
+          const s = fieldSpec(labelSpec);
+          await page.waitForFunction(
+            ({ sels, strip, name }) =>
+              sels.some((sel) => {
+                const el = document.querySelector(sel);
+                let t = ((el && el.innerText) || "").trim();
+                if (strip) t = t.replace(new RegExp(strip, "i"), "").trim();
+                return t === name;
+              }),
+            { sels: s.selectors, strip: s.strip, name: color.color_name },
+            { timeout: 20000 },
+          );
+        } else {
+          await page.waitForTimeout(waitAfterClickMs);
+        }
+        if (config.sizes) {
+          await page
+            .waitForSelector(selectorList(config.sizes).join(", "), {
+              timeout: 5000,
+            })
+            .catch(() => {});
+        }
+      }
+      state = await readState();
+    } catch (e) {
+      error = String(e?.message || e);
+    }
+
+    const base = {
+      color_id: color.color_id ?? null,
+      color_name:
+        color.color_name ??
+        (labelSpec ? await readField(page, labelSpec) : null),
+      cta_label: state?.cta.label ?? "",
+      list_price: state?.list_price ?? null,
+      sale_price: state?.sale_price ?? null,
+      error,
+    };
+
+    if (!state?.sizes.length) {
+      rows.push({ ...base, size_label: "", available: null });
+    }
+    for (const s of state?.sizes || []) {
+      rows.push({
+        ...base,
+        size_label: s.size_label,
+        available: !s.unavailable,
+      });
+    }
+  }
+  return rows;
+}
@@ -0,0 +1,232 @@
+/**
+ * Size normalization
+ *
+ * Every site spells sizes its own way: Demandware ids ("NS", "0", "S"),
+ * 6pm data-label ("7.5 Wide", "M (8-10)"), Kate Spade button text
+ * ("XS (Unavailable)"), stockfirmati .product-taglie in IT / EU sizing
+ * ("38", "TU"). normalizeSize() maps a label to one canonical system per
+ * category so inventory can be matched across retailers:
+ *
+ *   ONE_SIZE  "OS"                          NS, One Size, Taglia unica, TU
+ *   LETTER    XXS XS S M L XL XXL 3XL 4XL   apparel; numeric apparel sizes
+ *                                           (US 0-20, IT 36-50, EU 32-44)
+ *                                           via APPAREL_CHART
+ *   US_SHOE   "7.5", "8 W"                  shoes only; IT / EU sizes via
+ *                                           SHOE_CHART (women's unless the
+ *                                           name says men's)
+ *
+ * The original label stays in size_label; size_norm / size_system sit next
+ * to it. A label we can't place keeps its cleaned text with the system it
+ * was read in ("US", "IT", "EU") or null, never a guess: a numeric label
+ * with no known category ("30x32" jeans, "10.5" on a bag) stays as is.
+ */
+
+export const SIZE_SYSTEM = {
+  ONE_SIZE: "ONE_SIZE",
+  LETTER: "LETTER",
+  US_SHOE: "US_SHOE",
+};
+
+const ONE_SIZE =
+  /^(ns|os|o\/s|one ?size|onesize|taglia unica|unica|tu|no size|n\/a)$/i;
+
+const LETTERS = {
+  xxs: "XXS",
+  "2xs": "XXS",
+  xs: "XS",
+  s: "S",
+  small: "S",
+  m: "M",
+  medium: "M",
+  l: "L",
+  large: "L",
+  xl: "XL",
+  "x-large": "XL",
+  xxl: "XXL",
+  "2xl": "XXL",
+  "xx-large": "XXL",
+  xxxl: "3XL",
+  "3xl": "3XL",
+  xxxxl: "4XL",
+  "4xl": "4XL",
+};
+
+// numeric apparel size -> letter, per source system
+const APPAREL_CHART = {
+  US: {
+    "00": "XXS",
+    0: "XXS",
+    2: "XS",
+    4: "S",
+    6: "S",
+    8: "M",
+    10: "M",
+    12: "L",
+    14: "L",
+    16: "XL",
+    18: "XL",
+    20: "XXL",
+  },
+  IT: {
+    36: "XXS",
+    38: "XS",
+    40: "S",
+    42: "M",
+    44: "L",
+    46: "XL",
+    48: "XXL",
+    50: "3XL",
+  },
+  EU: {
+    32: "XXS",
+    34: "XS",
+    36: "S",
+    38: "M",
+    40: "L",
+    42: "XL",
+    44: "XXL",
+  },
+};
+
+// IT / EU shoe size -> US (IT and EU shoe sizes are the same scale)
+const SHOE_CHART = {
+  women: {
+    35: 5,
+    35.5: 5.5,
+    36: 6,
+    36.5: 6.5,
+    37: 7,
+    37.5: 7.5,
+    38: 8,
+    38.5: 8.5,
+    39: 9,
+    39.5: 9.5,
+    40: 10,
+    40.5: 10.5,
+    41: 11,
+    42: 12,
+  },
+  men: {
+    39: 6,
+    40: 7,
+    40.5: 7.5,
+    41: 8,
+    41.5: 8.5,
+    42: 9,
+    42.5: 9.5,
+    43: 10,
+    43.5: 10.5,
+    44: 11,
+    45: 12,
+    46: 13,
+    47: 14,
+  },
+};
+
+const SHOE_WORDS =
+  /\b(shoes?|sneakers?|boots?|booties|sandals?|pumps?|heels?|loafers?|flats?|mules?|slides?|clogs?|espadrilles?|oxfords?|slippers?|scarpe|stivali|sandali)\b/i;
+const APPAREL_WORDS =
+  /\b(dress|shirt|t-shirt|tee|top|blouse|sweater|cardigan|hoodie|jacket|coat|blazer|pants|trousers|jeans|shorts|skirt|leggings|jumpsuit|vest|abito|camicia|giacca|pantaloni|gonna|maglia)\b/i;
+
+/**
+ * Product name -> "shoes" | "apparel" | null.
+ */
+export function sizeCategory(productName) {
+  const name = String(productName || "");
+  if (SHOE_WORDS.test(name)) return "shoes";
+  if (APPAREL_WORDS.test(name)) return "apparel";
+  return null;
+}
+
+function genderOf(productName) {
+  return /\bmen'?s\b/i.test(String(productName || "")) ? "men" : "women";
+}
+
+/**
+ * "XS (Unavailable)" -> "XS", "Size: 7 1/2 B(M)" -> "7 1/2 B(M)"
+ */
+export function cleanSizeLabel(label) {
+  return String(label ?? "")
+    .replace(/\((unavailable|sold out|out of stock|esaurito)\)/gi, "")
+    .replace(/[-–]\s*(unavailable|sold out|out of stock)\s*$/i, "")
+    .replace(/^(size|taglia)\s*:?\s*/i, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// "7 1/2" / "7½" / "7,5" -> 7.5
+function sizeNumber(text) {
+  const m = text.match(/^(\d{1,2})(?:\s*(½|1\/2)|[.,](5|0))?$/);
+  if (!m) return null;
+  return Number(m[1]) + (m[2] || m[3] === "5" ? 0.5 : 0);
+}
+
+function shoeWidth(text) {
+  if (/\b(wide|w|ww|extra wide|d\(w\)|e|ee|2e|4e)\b/i.test(text)) return "W";
+  if (/\b(narrow|n|aa|a)\b/i.test(text)) return "N";
+  return ""; // medium: B(M), M, Medium
+}
+
+/**
+ * Size label -> { size_system, size_norm }.
+ * opts:
+ *   from         system the site prints numeric sizes in ("US" default,
+ *                "IT" for stockfirmati); a "EU 38" / "IT 42" prefix wins
+ *   productName  decides shoes vs apparel for numeric sizes (sizeCategory)
+ *   category     "shoes" | "apparel" when the caller knows better
+ *   gender       "men" | "women" for the IT / EU shoe chart, when the
+ *                caller knows better than the name
+ */
+export function normalizeSize(label, opts = {}) {
+  const text = cleanSizeLabel(label);
+  if (!text) return { size_system: null, size_norm: null };
+
+  if (ONE_SIZE.test(text)) {
+    return { size_system: SIZE_SYSTEM.ONE_SIZE, size_norm: "OS" };
+  }
+
+  // "M (8-10)", "XS/S": the letter part decides
+  const letterPart = text.replace(/\s*\(.*\)$/, "");
+  const letters = letterPart.split("/").map((p) => LETTERS[p.toLowerCase()]);
+  if (letters.every(Boolean)) {
+    return { size_system: SIZE_SYSTEM.LETTER, size_norm: letters.join("/") };
+  }
+
+  const prefixed = text.match(/^(US|EU|IT|FR)\s+(.+)$/i);
+  const from = (prefixed?.[1] || opts.from || "US").toUpperCase();
+  const rest = (prefixed?.[2] || text).trim();
+  const category = opts.category || sizeCategory(opts.productName);
+
+  // "7.5 Wide", "8 B(M)", "38,5": number + optional US width
+  const m = rest.match(/^(\d{1,2}(?:\s*½|\s+1\/2|[.,]\d)?)\s*(.*)$/);
+  const n = m ? sizeNumber(m[1].trim()) : null;
+  if (n === null) {
+    return { size_system: null, size_norm: text };
+  }
+  const system = from === "FR" ? "EU" : from;
+
+  // "30x32", "32 Regular", "10.5" on a bag: not ours to read as a shoe
+  if (!category) return { size_system: system, size_norm: rest };
+
+  if (category === "shoes") {
+    const width = m[2] ? shoeWidth(m[2]) : "";
+    const us =
+      from === "US"
+        ? n
+        : (SHOE_CHART[opts.gender || genderOf(opts.productName)]?.[n] ?? null);
+    if (us === null) {
+      return { size_system: system, size_norm: String(n) };
+    }
+    return {
+      size_system: SIZE_SYSTEM.US_SHOE,
+      size_norm: width ? `${us} ${width}` : String(us),
+    };
+  }
+
+  const chart = APPAREL_CHART[system];
+  const key = rest === "00" ? "00" : String(n);
+  if (!m[2] && chart?.[key]) {
+    return { size_system: SIZE_SYSTEM.LETTER, size_norm: chart[key] };
+  }
+  return { size_system: system, size_norm: m[2] ? rest : key };
+}
@@ -0,0 +1,164 @@
+/**
+ * Swatch images -> dominant color -> color family (optional --swatches step)
+ *
+ * Scene7 only: every distinct Scene7 swatch_url of a run (Michael Kors,
+ * Kate Spade, Coach) is asked for as a small PNG, which decodes without any
+ * image library, downloaded once and analysed locally (lib/color.js).
+ * Swatches on any other host would come back as JPEG / WebP, so they are
+ * not downloaded at all: counted as skipped, no failure logged, and the
+ * variant keeps its name-based family, as it does when a Scene7 swatch
+ * fails.
+ *
+ * Not recorded in cassettes (bodies there are text): under --replay the
+ * step is skipped.
+ */
+
+import {
+  colorFamilyOf,
+  decodePng,
+  dominantColor,
+  familyFromRgb,
+  isPng,
+  toHex,
+} from "./color.js";
+import { USER_AGENT } from "./http.js";
+import { mapLimit } from "./util.js";
+
+export const DEFAULTS = {
+  timeoutMs: 15000,
+  concurrency: 4,
+  size: 32, // px asked from Scene7, plenty for a dominant color
+};
+
+export function isScene7(url) {
+  try {
+    return new URL(url).pathname.includes("/is/image/");
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Scene7 swatch url -> same image as a size x size PNG.
+ */
+export function swatchImageUrl(url, size = DEFAULTS.size) {
+  if (!isScene7(url)) return url;
+  try {
+    const u = new URL(url);
+    u.searchParams.set("fmt", "png");
+    u.searchParams.set("wid", String(size));
+    u.searchParams.set("hei", String(size));
+    return u.toString();
+  } catch (_) {
+    return url;
+  }
+}
+
+/**
+ * PNG bytes -> { rgb, hex, family }.
+ */
+export function analyseSwatch(buf) {
+  const { pixels } = decodePng(buf);
+  const rgb = dominantColor(pixels);
+  if (!rgb) throw new Error("Swatch has no opaque pixels.");
+  return { rgb, hex: toHex(rgb), family: familyFromRgb(rgb) };
+}
+
+async function fetchSwatch(url, { timeoutMs, size }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const res = await fetch(swatchImageUrl(url, size), {
+      headers: { "user-agent": USER_AGENT },
+      signal: controller.signal,
+    });
+    if (!res.ok) {
+      const err = new Error(`Swatch HTTP ${res.status}: ${url}`);
+      err.status = res.status;
+      throw err;
+    }
+    const buf = Buffer.from(await res.arrayBuffer());
+    if (!isPng(buf)) {
+      throw new Error(
+        `Unsupported swatch format ${res.headers.get("content-type") || "?"}: ${url}`,
+      );
+    }
+    return analyseSwatch(buf);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Cached per url for the whole run: sizes of one color share a swatch.
+ */
+export function createSwatchReader(opts = {}) {
+  const cfg = { ...DEFAULTS, ...opts };
+  const cache = new Map();
+  const stats = { read: 0, failed: 0, skipped: 0 };
+
+  function read(url) {
+    if (!cache.has(url)) {
+      cache.set(
+        url,
+        fetchSwatch(url, cfg).then(
+          (swatch) => {
+            stats.read++;
+            return swatch;
+          },
+          (e) => {
+            stats.failed++;
+            console.error(`[swatch] ${String(e?.message || e)}`);
+            return null;
+          },
+        ),
+      );
+    }
+    return cache.get(url);
+  }
+
+  /**
+   * Adds color_family / swatch_hex to flat rows that have color_name and
+   * (optionally) swatch_url.
+   */
+  async function annotate(rows) {
+    const urls = [...new Set(rows.map((r) => r.swatch_url).filter(Boolean))];
+    const scene7 = urls.filter(isScene7);
+    stats.skipped += urls.length - scene7.length;
+    await mapLimit(scene7, cfg.concurrency, read);
+    for (const r of rows) {
+      const swatch = isScene7(r.swatch_url) ? await read(r.swatch_url) : null;
+      r.swatch_hex = swatch?.hex ?? null;
+      r.color_family = colorFamilyOf({
+        name: r.color_name,
+        swatchFamily: swatch?.family,
+      });
+    }
+    return rows;
+  }
+
+  return { read, annotate, stats };
+}
+
+/**
+ * Reader for a script's --swatches flag, or null when it is off. Under
+ * --replay there is nothing to download from, so the step is skipped.
+ */
+export function openSwatchReader({ swatches = false, cassette = null } = {}) {
+  if (!swatches) return null;
+  if (cassette?.replay) {
+    console.error("[swatch] --swatches skipped under --replay");
+    return null;
+  }
+  return createSwatchReader();
+}
+
+export function printSwatchSummary(reader) {
+  if (!reader) return;
+  const { read, failed, skipped } = reader.stats;
+  console.error(
+    `Swatches      : ${read} analysed` +
+      (failed ? `, ${failed} failed` : "") +
+      (skipped ? `, ${skipped} skipped (not Scene7)` : ""),
+  );
+}
@@ -0,0 +1,34 @@
+/**
+ * Small async / fs helpers shared by the extractors.
+ */
+
+import fs from "fs";
+
+export function ensureDir(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+}
+
+export function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+/**
+ * Run `mapper` over `items` with at most `limit` calls in flight.
+ * Results keep the input order.
+ */
+export async function mapLimit(items, limit, mapper) {
+  const out = new Array(items.length);
+  let idx = 0;
+
+  async function worker() {
+    while (true) {
+      const my = idx++;
+      if (my >= items.length) return;
+      out[my] = await mapper(items[my], my);
+    }
+  }
+
+  const workers = Array.from({ length: Math.max(1, limit) }, () => worker());
+  await Promise.all(workers);
+  return out;
+}
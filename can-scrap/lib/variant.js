@@ -0,0 +1,163 @@
+/**
+ * Canonical variant record
+ *
+ * Every site adapter maps its own rows (mk color_id/size_id/sales_value,
+ * 6pm size_label/selling_price, stockfirmati size/stock, ...) into this one
+ * shape so the combined output can be joined without per-site mappings.
+ *
+ * One record = one color x size combination of one product.
+ */
+
+import { familyFromName } from "./color.js";
+import { normalizeSize } from "./size.js";
+
+export const AVAILABILITY = {
+  IN_STOCK: "IN_STOCK",
+  OUT_OF_STOCK: "OUT_OF_STOCK",
+  UNKNOWN: "UNKNOWN",
+};
+
+export const CTA = {
+  ADD_TO_BAG: "ADD_TO_BAG",
+  NOTIFY_ME: "NOTIFY_ME",
+};
+
+// column order of the combined CSV
+export const VARIANT_FIELDS = [
+  "retailer",
+  "input_sku",
+  "input_url",
+  "product_id",
+  "variant_id",
+  "product_name",
+  "brand",
+  "color_id",
+  "color_name",
+  "color_family",
+  "size_id",
+  "size_label",
+  "size_system",
+  "size_norm",
+  "list_price",
+  "sale_price",
+  "currency",
+  "availability",
+  "cta",
+  "upc",
+  "scraped_at",
+  "error",
+];
+
+function emptyToNull(v) {
+  if (v === undefined || v === null) return null;
+  if (typeof v === "string" && !v.trim()) return null;
+  return v;
+}
+
+function toPrice(v) {
+  v = emptyToNull(v);
+  if (v === null) return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Build a record with every field present (missing -> null).
+ * Prices are coerced to numbers, ids to strings. size_norm / size_system
+ * are derived from size_label (lib/size.js) unless the adapter sets them;
+ * `size_from` ("IT", ...), `size_category` and `size_gender` are
+ * input-only hints for that (normalizeSize opts) and not stored.
+ * color_family falls back to the color name (lib/color.js) when no swatch
+ * was analysed.
+ */
+export function makeVariant(fields) {
+  const v = {};
+  for (const k of VARIANT_FIELDS) v[k] = emptyToNull(fields[k]);
+
+  for (const k of ["product_id", "variant_id", "color_id", "size_id", "upc"]) {
+    if (v[k] !== null) v[k] = String(v[k]);
+  }
+  v.list_price = toPrice(v.list_price);
+  v.sale_price = toPrice(v.sale_price);
+  v.currency = v.currency ? String(v.currency).toUpperCase() : null;
+  if (v.size_norm === null && v.size_system === null) {
+    Object.assign(
+      v,
+      normalizeSize(v.size_label ?? v.size_id, {
+        from: fields.size_from,
+        category: fields.size_category,
+        gender: fields.size_gender,
+        productName: v.product_name,
+      }),
+    );
+  }
+  v.color_family = v.color_family || familyFromName(v.color_name);
+  v.availability = v.availability || AVAILABILITY.UNKNOWN;
+  v.scraped_at = v.scraped_at || new Date().toISOString();
+  v.error = v.error ? String(v.error) : "";
+  return v;
+}
+
+/**
+ * Identity of a variant across runs: (retailer, product_id, color, size).
+ * Color / size fall back to the label when a site has no ids
+ * (6pm sizes, stockfirmati).
+ */
+export function variantKey(v) {
+  return [
+    v.retailer,
+    v.product_id,
+    v.color_id ?? v.color_name ?? "",
+    v.size_id ?? v.size_label ?? "",
+  ].join("|");
+}
+
+/**
+ * Returns a list of problems; empty list = valid record.
+ */
+export function validateVariant(v) {
+  const problems = [];
+  if (!v || typeof v !== "object") return ["not an object"];
+
+  for (const k of Object.keys(v)) {
+    if (!VARIANT_FIELDS.includes(k)) problems.push(`unknown field: ${k}`);
+  }
+  for (const k of ["retailer", "input_sku", "input_url"]) {
+    if (!v[k]) problems.push(`${k} is required`);
+  }
+  if (!v.error && !v.product_id) {
+    problems.push("product_id is required when error is empty");
+  }
+  for (const k of ["list_price", "sale_price"]) {
+    const p = v[k];
+    if (p !== null && !(typeof p === "number" && Number.isFinite(p) && p >= 0))
+      problems.push(`${k} must be null or a non-negative number`);
+  }
+  if (v.currency !== null && !/^[A-Z]{3}$/.test(String(v.currency))) {
+    problems.push(`currency must be an ISO 4217 code: ${v.currency}`);
+  }
+  if (!Object.values(AVAILABILITY).includes(v.availability)) {
+    problems.push(`availability must be one of ${Object.keys(AVAILABILITY)}`);
+  }
+  if (v.cta !== null && !Object.values(CTA).includes(v.cta)) {
+    problems.push(`cta must be null or one of ${Object.keys(CTA)}`);
+  }
+  if (!v.scraped_at || Number.isNaN(Date.parse(v.scraped_at))) {
+    problems.push("scraped_at must be an ISO timestamp");
+  }
+  return problems;
+}
+
+/**
+ * Split records into valid / rejected ({ row, problems }).
+ */
+export function partitionVariants(rows) {
+  const valid = [];
+  const rejected = [];
+  for (const row of rows) {
+    const problems = validateVariant(row);
+    if (problems.length) rejected.push({ row, problems });
+    else valid.push(row);
+  }
+  return { valid, rejected };
+}
@@ -0,0 +1,247 @@
+/**
+ * Cross-region Michael Kors price report
+ * Input: CSV with a pid column (or url: the pid is parsed from it)
+ * Output: ONE JSON + ONE CSV, one row per variant (pid x color x size)
+ *
+ * Every pid is pulled from each region's storefront (same Demandware JSON
+ * path as mk_matrix_v5.js), prices are converted into --base with the
+ * rates file, and per variant the report gives the cheapest region, the
+ * spread between cheapest and dearest region and price / stock per region.
+ * Only in-stock regions count for cheapest / spread (lib/regions.js).
+ *
+ * Regions: us, ca, uk, de, fr, it, es (own domains) or any other country
+ * code of michaelkors.global (in, ae, ...), see regionStorefront().
+ *
+ * Rates file (CSV, see rates.example.csv): currency,rate - the value of
+ * 1 unit in the base currency, e.g. with --base USD:  EUR,1.08  /  INR,0.012.
+ * Prices in a currency with no rate stay unconverted and are listed in the
+ * summary.
+ *
+ * Usage:
+ *   node mk_region_report.js --in ./pids.csv --regions us,uk,in --rates ./rates.csv
+ *   node mk_region_report.js --in ./input.csv --regions us,de,fr,it --base EUR --rates ./rates_eur.csv
+ *   node mk_region_report.js --in ./pids.csv --regions us,in --rates ./rates.csv --record ./cassettes/regions
+ *
+ * Output files:
+ *   ./out/mk_regions.json
+ *   ./out/mk_regions.csv
+ */
+
+import fs from "fs";
+import path from "path";
+import { openCassette, printCassetteSummary } from "./lib/cassette.js";
+import { readCSVColumn, rowsToCSV } from "./lib/csv.js";
+import { parseChain } from "./lib/fetch.js";
+import { compareRegions, readRates, regionFields } from "./lib/regions.js";
+import { ensureDir, mapLimit } from "./lib/util.js";
+import {
+  DEFAULTS as MK_DEFAULTS,
+  extractOneProduct,
+  extractPidFromUrl,
+  productUrl,
+  regionStorefront,
+  storefrontFromUrl,
+  toVariants,
+} from "./sites/michaelkors.js";
+
+const DEFAULTS = {
+  ...MK_DEFAULTS,
+  inFile: "./pids.csv",
+  outDir: "./out",
+  regions: ["us", "uk", "in"],
+  ratesFile: "./rates.csv",
+  base: "USD",
+  productConcurrency: 2, // pid x region jobs in parallel
+  record: "", // cassette dir (lib/cassette.js)
+  replay: "",
+};
+
+function parseArgs(argv) {
+  const args = { ...DEFAULTS };
+  const rest = argv.slice(2);
+
+  for (let i = 0; i < rest.length; i++) {
+    const a = rest[i];
+    if (a === "--in") args.inFile = rest[++i] || args.inFile;
+    else if (a === "--out") args.outDir = rest[++i] || args.outDir;
+    else if (a === "--regions")
+      args.regions = String(rest[++i] || args.regions.join(","))
+        .split(",")
+        .map((r) => r.trim().toLowerCase())
+        .filter(Boolean);
+    else if (a === "--rates") args.ratesFile = rest[++i] || args.ratesFile;
+    else if (a === "--base")
+      args.base = String(rest[++i] || args.base).toUpperCase();
+    else if (a === "--concurrency")
+      args.concurrency = Number(rest[++i] || args.concurrency);
+    else if (a === "--productConcurrency")
+      args.productConcurrency = Number(rest[++i] || args.productConcurrency);
+    else if (a === "--timeoutMs")
+      args.timeoutMs = Number(rest[++i] || args.timeoutMs);
+    else if (a === "--chain")
+      args.fetchChain = parseChain(rest[++i] || args.fetchChain.join(","));
+    else if (a === "--record") args.record = rest[++i] || args.record;
+    else if (a === "--replay") args.replay = rest[++i] || args.replay;
+  }
+  return args;
+}
+
+/**
+ * Column values -> unique [{ pid, url }]; url is the input url when the
+ * column held one (its pid parsed from it), else null.
+ */
+function readPids(filePath) {
+  const byPid = new Map();
+  for (const v of readCSVColumn(filePath, ["pid", "product_id", "url"])) {
+    const url = /^https?:/i.test(v) ? v : null;
+    const pid = url ? extractPidFromUrl(url) : v.toUpperCase();
+    if (pid && !byPid.has(pid)) byPid.set(pid, { pid, url });
+  }
+  return [...byPid.values()];
+}
+
+/**
+ * PDP url of a pid on a region's storefront: the input url when it is on
+ * that storefront, else its short url (productUrl()). Throws on an input url that
+ * does not parse (the row fails, the report goes on).
+ */
+function regionUrl({ pid, url }, storefront) {
+  if (!url) return productUrl(pid, storefront);
+  let own;
+  try {
+    own = new URL(url);
+  } catch (_) {
+    throw new Error(`Invalid input url: ${url}`);
+  }
+  const sf = storefrontFromUrl(url);
+  if (own.origin === storefront.origin && sf?.site === storefront.site) {
+    return url;
+  }
+  return productUrl(pid, storefront);
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  ensureDir(args.outDir);
+
+  const unknown = args.regions.filter((r) => !regionStorefront(r));
+  if (!args.regions.length || unknown.length) {
+    console.error(`Unknown region(s): ${unknown.join(", ") || "(none given)"}`);
+    process.exit(2);
+  }
+
+  const pids = readPids(args.inFile);
+  if (!pids.length) {
+    console.error("No pids found in input CSV.");
+    process.exit(2);
+  }
+
+  if (!fs.existsSync(args.ratesFile)) {
+    console.error(
+      `Rates file not found: ${args.ratesFile} (see rates.example.csv)`,
+    );
+    process.exit(2);
+  }
+  const rates = readRates(args.ratesFile, args.base);
+  args.cassette = openCassette(args);
+  const { cassette } = args;
+
+  const jobs = pids.flatMap((item) =>
+    args.regions.map((region) => ({
+      ...item,
+      region,
+      storefront: regionStorefront(region),
+    })),
+  );
+
+  const products = await mapLimit(
+    jobs,
+    args.productConcurrency,
+    async ({ pid, url, region, storefront }) => {
+      let one;
+      let inputUrl = url || "";
+      try {
+        inputUrl = regionUrl({ pid, url }, storefront);
+        one = await extractOneProduct({
+          pid,
+          inputSku: pid,
+          inputUrl,
+          args: { ...args, ...storefront },
+        });
+      } catch (e) {
+        one = {
+          ok: false,
+          pid,
+          input_url: inputUrl,
+          error: String(e?.message || e),
+        };
+      }
+      if (!one.ok) console.error(`[${region}] ${pid}: ${one.error}`);
+      return { ...one, region };
+    },
+  );
+
+  const byRegion = Object.fromEntries(args.regions.map((r) => [r, []]));
+  for (const p of products) {
+    if (p.ok) byRegion[p.region].push(...toVariants(p));
+  }
+  const { rows, missingRates } = compareRegions(byRegion, {
+    rates,
+    base: args.base,
+  });
+
+  const jsonPath = path.join(args.outDir, "mk_regions.json");
+  fs.writeFileSync(
+    jsonPath,
+    JSON.stringify(
+      {
+        extracted_at: new Date().toISOString(),
+        base: args.base,
+        regions: args.regions,
+        rates,
+        failed: products
+          .filter((p) => !p.ok)
+          .map((p) => ({
+            pid: p.pid,
+            region: p.region,
+            input_url: p.input_url,
+            error: p.error,
+          })),
+        variants: rows,
+      },
+      null,
+      2,
+    ),
+    "utf-8",
+  );
+
+  const csvPath = path.join(args.outDir, "mk_regions.csv");
+  fs.writeFileSync(
+    csvPath,
+    rowsToCSV(regionFields(args.regions, args.base), rows),
+    "utf-8",
+  );
+
+  const compared = rows.filter((r) => r.spread_pct !== null).length;
+  console.error(`PIDs          : ${pids.length} x ${args.regions.join(",")}`);
+  console.error(`Products OK   : ${products.filter((p) => p.ok).length}`);
+  console.error(`Products Fail : ${products.filter((p) => !p.ok).length}`);
+  console.error(
+    `Variants      : ${rows.length} (${compared} in stock in 2+ regions)`,
+  );
+  if (missingRates.length) {
+    console.error(
+      `No rate for   : ${missingRates.join(", ")} (${args.ratesFile})`,
+    );
+  }
+  console.error(`Saved JSON    : ${jsonPath}`);
+  console.error(`Saved CSV     : ${csvPath}`);
+
+  printCassetteSummary(cassette);
+  if (cassette?.stats.missing.length) process.exitCode = 1;
+}
+
+main().catch((e) => {
+  console.error("Fatal:", e);
+  process.exit(1);
+});
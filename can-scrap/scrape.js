@@ -0,0 +1,179 @@
+/**
+ * Unified multi-retailer bulk extractor
+ * Input: CSV (sku,url) - rows may mix retailers
+ * Output: ONE combined JSON + ONE combined CSV
+ *
+ * Each row is routed by the url hostname to a site adapter (see sites/):
+ *   michaelkors.com      -> Demandware JSON (no browser)
+ *   6pm.com, zappos.com  -> Playwright color x size walker
+ *   katespadeoutlet.com  -> /api/products JSON (swatch walker if blocked)
+ *   coachoutlet.com      -> /api/products JSON
+ *   stockfirmati.com     -> Playwright PDP scrape
+ *
+ * Not the repo-root ../scrape.js: that is the original stockfirmati script,
+ * kept as it was. Its scrapeOne() lives on in sites/stockfirmati.js, and
+ * the stockfirmati listing crawl (--crawl), per-size stock rows and the
+ * --db history sink are built here and there, not in the root file.
+ *
+ * The browser is only launched if at least one row needs it.
+ * Every row is mapped to the canonical variant record (lib/variant.js);
+ * rows that fail validation are left out of the CSV and listed in
+ * scrape.rejected.json instead.
+ *
+ * Usage:
+ *   node scrape.js --in ./input.csv --out ./out
+ *   node scrape.js --in ./input.csv --out ./out --resume        (continue after a crash)
+ *   node scrape.js --in ./input.csv --out ./out --retry-failed  (redo errored rows)
+ *   node scrape.js --in ./input.csv --out ./out --db ./history.sqlite (append to price history)
+ *   node scrape.js --in ./input.csv --out ./out --record ./cassettes/run1
+ *   node scrape.js --in ./bad_row.csv --out ./out/replay --replay ./cassettes/run1
+ *   node scrape.js --in ./input.csv --out ./out --headed --productConcurrency 1
+ *   node scrape.js --in ./categories.csv --out ./out --crawl --maxPages 10
+ *   node scrape.js --in ./input.csv --out ./out --swatches
+ *
+ * --crawl: rows pointing at a listing page (stockfirmati brand / category
+ * urls) are expanded into one row per PDP found across its pagination.
+ *
+ * --chain direct,scraperapi_premium,...: overrides the fetch provider
+ * escalation order of the JSON adapters (lib/fetch.js). ScraperAPI steps
+ * are skipped unless SCRAPERAPI_KEY is set; the provider that got through
+ * is kept on each product as `fetch_provider`.
+ *
+ * --record <dir> / --replay <dir>: store every request / response (fetch
+ * and Playwright) in a cassette, or serve a cassette back with no network;
+ * anything the cassette does not have fails its row as NOT_RECORDED
+ * (lib/cassette.js). Replay into a fresh --out, or the journal just hands
+ * back the rows of the recorded run.
+ *
+ * --swatches: download each color's swatch image (Michael Kors, Kate Spade,
+ * Coach) and set color_family from its dominant color instead of from the
+ * color name alone (lib/swatch.js, lib/color.js).
+ *
+ * Output files:
+ *   ./out/scrape.json
+ *   ./out/scrape.csv
+ *   ./out/scrape.journal.jsonl (checkpoint, see lib/journal.js)
+ *   ./out/scrape.rejected.json (only when some rows were rejected)
+ */
+
+import { openCassette, printCassetteSummary } from "./lib/cassette.js";
+import { readInputCSV } from "./lib/csv.js";
+import { createPagePool } from "./lib/browser.js";
+import {
+  expandItems,
+  journalPath,
+  printSummary,
+  runBulk,
+  writeBulkOutputs,
+} from "./lib/run.js";
+import { openJournal } from "./lib/journal.js";
+import { parseChain } from "./lib/fetch.js";
+import { openSwatchReader, printSwatchSummary } from "./lib/swatch.js";
+import { appendToHistory } from "./lib/history.js";
+import { ensureDir } from "./lib/util.js";
+import { adapterFor, hostnameOf } from "./sites/index.js";
+
+const DEFAULTS = {
+  inFile: "./input.csv",
+  outDir: "./out",
+  resume: false, // skip rows already in the journal
+  retryFailed: false, // redo only rows that failed last time
+  db: "", // optional SQLite history file (lib/history.js)
+  record: "", // cassette dir: save every request / response (lib/cassette.js)
+  replay: "", // cassette dir: serve recorded responses, no network
+  productConcurrency: 2, // how many rows to process in parallel
+  headless: true,
+  crawl: false,
+  swatches: false, // color_family from swatch images (lib/swatch.js)
+};
+
+function parseArgs(argv) {
+  const args = { ...DEFAULTS };
+  const rest = argv.slice(2);
+
+  // only flags that are passed end up in `siteArgs`, so every adapter
+  // keeps its own defaults (timeouts differ between JSON and browser sites)
+  args.siteArgs = {};
+
+  for (let i = 0; i < rest.length; i++) {
+    const a = rest[i];
+    if (a === "--in") args.inFile = rest[++i] || args.inFile;
+    else if (a === "--resume") args.resume = true;
+    else if (a === "--retry-failed") args.retryFailed = true;
+    else if (a === "--out") args.outDir = rest[++i] || args.outDir;
+    else if (a === "--db") args.db = rest[++i] || args.db;
+    else if (a === "--record") args.record = rest[++i] || args.record;
+    else if (a === "--replay") args.replay = rest[++i] || args.replay;
+    else if (a === "--productConcurrency")
+      args.productConcurrency = Number(rest[++i] || args.productConcurrency);
+    else if (a === "--headed") args.headless = false;
+    else if (a === "--crawl") args.crawl = true;
+    else if (a === "--swatches") args.swatches = true;
+    else if (a === "--maxPages") args.siteArgs.maxPages = Number(rest[++i]);
+    else if (a === "--timeoutMs") args.siteArgs.timeoutMs = Number(rest[++i]);
+    else if (a === "--retries") args.siteArgs.retries = Number(rest[++i]);
+    else if (a === "--chain") args.siteArgs.fetchChain = parseChain(rest[++i]);
+    else if (a === "--concurrency")
+      args.siteArgs.concurrency = Number(rest[++i]);
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  ensureDir(args.outDir);
+
+  const items = readInputCSV(args.inFile);
+  if (!items.length) {
+    console.error("No rows found in input CSV.");
+    process.exit(2);
+  }
+
+  const cassette = openCassette(args);
+  const pool = createPagePool({ headless: args.headless, cassette });
+  const swatches = openSwatchReader({ swatches: args.swatches, cassette });
+  const ctx = {
+    args: { ...args.siteArgs, cassette },
+    newPage: () => pool.newPage(),
+    swatches,
+  };
+
+  const resolveAdapter = (item) =>
+    adapterFor(item.url) ||
+    `No adapter for host: ${hostnameOf(item.url) || item.url}`;
+
+  const jobs = args.crawl
+    ? await expandItems({ items, resolveAdapter, ctx })
+    : items;
+
+  const processed = await runBulk({
+    items: jobs,
+    resolveAdapter,
+    ctx,
+    productConcurrency: args.productConcurrency,
+    journal: openJournal(journalPath(args.outDir, "scrape"), args),
+  });
+
+  await pool.close();
+
+  const outputs = writeBulkOutputs({
+    outDir: args.outDir,
+    name: "scrape",
+    processed,
+  });
+  printSummary(processed, outputs);
+
+  if (args.db) {
+    const added = await appendToHistory(args.db, outputs.valid);
+    console.error(`History Rows  : ${added} -> ${args.db}`);
+  }
+
+  printSwatchSummary(swatches);
+  printCassetteSummary(cassette);
+  if (cassette?.stats.missing.length) process.exitCode = 1;
+}
+
+main().catch((e) => {
+  console.error("Fatal:", e);
+  process.exit(1);
+});
@@ -0,0 +1,511 @@
+/**
+ * 6pm / Zappos site adapter (Playwright)
+ * ---------------------------------------------------------------
+ * PDP helpers + color x size walker shared by the 6pm scripts and by the
+ * unified scrape.js CLI.
+ *
+ * 6pm is Zappos' outlet and runs on the same platform (same markup, same
+ * page state), so zappos.com PDPs go through the same code; every row is
+ * tagged with the retailer of its url ("6pm" / "zappos").
+ *
+ * Availability logic:
+ *   IN STOCK  -> "Add to Shopping Bag" button present
+ *   OUT STOCK -> "Notify Me" button OR out-of-stock popup appears
+ *
+ * Matrix source (cfg.matrixFrom):
+ *   state  read the product JSON the PDP embeds (window.__INITIAL_STATE__):
+ *          every color x size with stock + price from one page load
+ *   click  click every color / size label and read the CTA (slow, but
+ *          works whatever the page state looks like)
+ *   auto   state, falling back to click when the state is missing (default)
+ */
+
+import { checkPage } from "../lib/block.js";
+import {
+  fieldSpec,
+  firstMatch,
+  loadSelectors,
+  readCta,
+  readField,
+  selectorList,
+} from "../lib/selectors.js";
+import { rowsToCSV } from "../lib/csv.js";
+import { parseAmount } from "../lib/price.js";
+import { AVAILABILITY, CTA, makeVariant } from "../lib/variant.js";
+
+export const retailer = "6pm";
+export const hosts = ["6pm.com", "zappos.com"];
+export const engine = "browser";
+
+// markup lives in sites/selectors/6pm.json (hashed class names change!)
+const SELECTORS = loadSelectors("6pm");
+const OOS_POPUP = selectorList(SELECTORS.oos_popup).join(", ");
+
+export const DEFAULTS = {
+  matrixFrom: "auto", // "state" | "click" | "auto", see above
+  timeoutMs: 60000,
+  waitAfterLoadMs: 800,
+  waitAfterClickMs: 500,
+  keepOpenMs: 0, // after each product (debug)
+};
+
+export function normalize6pmUrl(u) {
+  // remove trailing /color/<id> if present (6pm and zappos alike)
+  return u.replace(/\/color\/\d+(\?.*)?$/, "");
+}
+
+/**
+ * "zappos" for zappos.com urls, "6pm" for everything else.
+ */
+export function retailerFor(url) {
+  try {
+    const host = new URL(url).hostname.toLowerCase();
+    return /(^|\.)zappos\.com$/.test(host) ? "zappos" : retailer;
+  } catch (_) {
+    return retailer;
+  }
+}
+
+/* ----------------------------- PLAYWRIGHT HELPERS ----------------------------- */
+
+/**
+ * Some labels exist twice on 6pm (mobile + desktop).
+ * This function clicks the first VISIBLE label matching `for="..."`.
+ */
+export async function clickVisibleLabel(page, inputId, timeout = 20000) {
+  const labels = page.locator(`label[for="${inputId}"]`);
+  const count = await labels.count();
+  if (!count) throw new Error(`Label not found for: ${inputId}`);
+
+  for (let i = 0; i < count; i++) {
+    const lbl = labels.nth(i);
+    if (await lbl.isVisible().catch(() => false)) {
+      await lbl.scrollIntoViewIfNeeded();
+      await lbl.click({ timeout });
+      return;
+    }
+  }
+
+  // fallback: force click
+  await labels
+    .first()
+    .scrollIntoViewIfNeeded()
+    .catch(() => {});
+  await labels.first().click({ timeout, force: true });
+}
+
+/**
+ * When a size is out of stock, 6pm may show a full blocking popup:
+ *  "Sorry, this is out of stock. You just missed it."
+ * That popup blocks further clicks until closed.
+ *
+ * This function detects it and closes it.
+ */
+export async function closeOOSPopupIfOpen(page) {
+  const popup = page.locator(OOS_POPUP).first();
+  if (!(await popup.isVisible().catch(() => false))) return false;
+
+  console.error("⚠️ OOS popup detected. Closing...");
+
+  const closeSvg = popup.locator("svg").last();
+  try {
+    await closeSvg.scrollIntoViewIfNeeded().catch(() => {});
+    await closeSvg.click({ timeout: 5000 });
+  } catch {
+    const box = await popup.boundingBox();
+    if (box) {
+      await page.mouse.click(box.x + box.width - 15, box.y + 15);
+    }
+  }
+
+  await popup.waitFor({ state: "hidden", timeout: 8000 }).catch(() => {});
+  await page.waitForTimeout(200);
+  return true;
+}
+
+/**
+ * Availability rules:
+ *  - If OOS popup visible => OUT OF STOCK
+ *  - Else if "Notify Me" visible => OUT OF STOCK
+ *  - Else if add-to-cart button visible => IN STOCK
+ */
+export async function getAvailability(page) {
+  const popupOpen = await page
+    .locator(OOS_POPUP)
+    .first()
+    .isVisible()
+    .catch(() => false);
+
+  if (popupOpen) return "OUT OF STOCK";
+
+  const { availability } = await readCta(page, SELECTORS.cta);
+  if (availability === AVAILABILITY.OUT_OF_STOCK) return "OUT OF STOCK";
+  if (availability === AVAILABILITY.IN_STOCK) return "IN STOCK";
+
+  return "unknown";
+}
+
+/**
+ * Price extraction:
+ *  - selling price: itemprop="price" content="63.97"
+ *  - msrp is displayed in the UI (MSRP: $79)
+ *    selector may change; we use a tolerant approach.
+ */
+export async function getPrice(page) {
+  const selling = await readField(page, SELECTORS.fields.sale_price);
+  const msrpText = await readField(page, SELECTORS.fields.list_price);
+
+  return {
+    selling_price: parseAmount(selling),
+    original_price: parseAmount(msrpText),
+  };
+}
+
+/**
+ * Extract top-level product info:
+ * - productId (hidden input)
+ * - brand (schema.org brand)
+ * - product name (heading)
+ */
+export async function getProductMeta(page) {
+  const productId = await readField(page, SELECTORS.fields.product_id);
+  const brand = await readField(page, SELECTORS.fields.brand);
+  const productName = await readField(page, SELECTORS.fields.title);
+
+  return {
+    product_id: productId ? String(productId) : null,
+    brand: brand || null,
+    product_name: productName || null,
+  };
+}
+
+/**
+ * Color inputs:
+ * - input[name="colorSelect"][data-style-id][data-color-name]
+ * - There are duplicates in DOM; we dedupe by data-style-id
+ */
+export async function getColors(page) {
+  const { id_attr, name_attr } = fieldSpec(SELECTORS.colors);
+  const loc = await firstMatch(page, SELECTORS.colors);
+  const colorInputs = loc ? await loc.elementHandles() : [];
+
+  const out = [];
+  const seen = new Set();
+
+  for (const c of colorInputs) {
+    const colorName = await c.getAttribute(name_attr);
+    const colorId = await c.getAttribute(id_attr);
+    const inputId = await c.getAttribute("id");
+
+    if (!colorId || seen.has(colorId)) continue;
+    seen.add(colorId);
+
+    out.push({
+      color_id: String(colorId),
+      color_name: colorName?.trim() || null,
+      input_id: inputId || null,
+    });
+  }
+
+  return out;
+}
+
+/**
+ * Size inputs:
+ * - input[data-track-label="size"][data-label]
+ */
+export async function getSizes(page) {
+  const { label_attr } = fieldSpec(SELECTORS.sizes);
+  const loc = await firstMatch(page, SELECTORS.sizes);
+  const sizeInputs = loc ? await loc.elementHandles() : [];
+
+  return Promise.all(
+    sizeInputs.map(async (s) => ({
+      size_label: (await s.getAttribute(label_attr))?.trim() || null,
+      input_id: (await s.getAttribute("id")) || null,
+    })),
+  );
+}
+
+/* ------------------------------ EMBEDDED STATE ----------------------------- */
+
+/**
+ * product.detail of the page's window.__INITIAL_STATE__ (null if absent).
+ */
+export async function readEmbeddedState(page) {
+  return page
+    .evaluate(() => window.__INITIAL_STATE__?.product?.detail ?? null)
+    .catch(() => null);
+}
+
+/**
+ * product.detail -> { meta, rows } with rows shaped like the click
+ * walker's. `styles` are the colors; a style's `stocks` only list sizes
+ * that can be bought, so every other size the product comes in (any
+ * style's stocks + sizing.allValues) is OUT OF STOCK for that color.
+ * Returns null when the state has no styles.
+ */
+export function matrixFromState(detail, { input_sku, url }) {
+  const styles = Array.isArray(detail?.styles) ? detail.styles : [];
+  if (!styles.length) return null;
+
+  const meta = {
+    product_id: detail.productId ? String(detail.productId) : null,
+    brand: detail.brandName || null,
+    product_name: detail.productName || null,
+  };
+
+  const allSizes = [];
+  const addSize = (s) => {
+    const label = String(s ?? "").trim();
+    if (label && !allSizes.includes(label)) allSizes.push(label);
+  };
+  for (const v of detail.sizing?.allValues || []) addSize(v?.value);
+  for (const st of styles) for (const k of st.stocks || []) addSize(k.size);
+
+  const rows = [];
+  for (const st of styles) {
+    const inStock = new Set(
+      (st.stocks || [])
+        .filter((k) => Number(k.onHand ?? 1) > 0)
+        .map((k) => String(k.size ?? "").trim()),
+    );
+    for (const size of allSizes.length ? allSizes : [""]) {
+      rows.push({
+        input_sku,
+        url,
+        ...meta,
+        color_id: st.styleId ? String(st.styleId) : null,
+        color_name: st.color || null,
+        size_label: size || null,
+        original_price: parseAmount(st.originalPrice),
+        selling_price: parseAmount(st.price),
+        availability: inStock.has(size) ? "IN STOCK" : "OUT OF STOCK",
+      });
+    }
+  }
+  return { meta, rows };
+}
+
+/* --------------------------- MAIN PRODUCT SCRAPER -------------------------- */
+
+/**
+ * Flat rows -> product JSON (rows grouped per color for `matrix`).
+ * `source` says which walker built it: "state" or "click".
+ */
+export function productResult({ input_sku, url }, meta, rows, source) {
+  const tagged = rows.map((r) => ({ retailer: retailerFor(url), ...r }));
+  const byColor = new Map();
+  for (const row of tagged) {
+    if (!byColor.has(row.color_id)) {
+      byColor.set(row.color_id, {
+        color_id: row.color_id,
+        color_name: row.color_name,
+        sizes: [],
+      });
+    }
+    byColor.get(row.color_id).sizes.push(row);
+  }
+
+  return {
+    retailer: retailerFor(url),
+    input_sku,
+    url,
+    ...meta,
+    source,
+    extracted_at: new Date().toISOString(),
+    has_size_attribute: tagged.some((r) => r.size_label),
+    matrix: [...byColor.values()],
+    flat_rows: tagged,
+  };
+}
+
+export async function scrapeOneProduct(page, { input_sku, url }, cfg) {
+  console.error("\n==============================");
+  console.error("INPUT SKU:", input_sku);
+  console.error("URL:", url);
+  console.error("==============================");
+
+  // the walker covers every color, a /color/<id> url would only preselect one
+  const res = await page.goto(normalize6pmUrl(url), {
+    waitUntil: "networkidle",
+    timeout: cfg.timeoutMs,
+  });
+  await page.waitForTimeout(cfg.waitAfterLoadMs);
+  await checkPage(page, res, {
+    url,
+    expect: selectorList(SELECTORS.fields.product_id).join(", "),
+  });
+
+  console.error("Final URL:", page.url());
+
+  const matrixFrom = cfg.matrixFrom || "auto";
+  if (matrixFrom !== "click") {
+    const fromState = matrixFromState(await readEmbeddedState(page), {
+      input_sku,
+      url,
+    });
+    if (fromState) {
+      console.error(`Matrix from page state: ${fromState.rows.length} rows`);
+      return productResult(
+        { input_sku, url },
+        fromState.meta,
+        fromState.rows,
+        "state",
+      );
+    }
+    if (matrixFrom === "state") {
+      throw new Error("No product state (window.__INITIAL_STATE__) on page.");
+    }
+    console.error("No page state, falling back to clicking sizes");
+  }
+
+  // close popup if any leftover
+  await closeOOSPopupIfOpen(page);
+
+  const meta = await getProductMeta(page);
+  console.error("Product ID:", meta.product_id);
+  console.error("Brand:", meta.brand);
+  console.error("Product Name:", meta.product_name);
+
+  const colors = await getColors(page);
+
+  const rows = []; // flat rows for CSV
+
+  for (const color of colors) {
+    console.error(`\nColor: ${color.color_name} | ID: ${color.color_id}`);
+
+    await closeOOSPopupIfOpen(page);
+    if (color.input_id) {
+      await clickVisibleLabel(page, color.input_id);
+      await page.waitForTimeout(cfg.waitAfterClickMs);
+    }
+
+    // DOM changes on color switch -> re-fetch sizes
+    const sizes = await getSizes(page);
+
+    for (const size of sizes) {
+      // ensure popup closed
+      await closeOOSPopupIfOpen(page);
+
+      if (size.input_id) {
+        await clickVisibleLabel(page, size.input_id);
+        await page.waitForTimeout(cfg.waitAfterClickMs);
+      }
+
+      const availability = await getAvailability(page);
+      const price = await getPrice(page);
+
+      console.error(
+        `  Size: ${size.size_label} | Price: ${price.selling_price} | Availability: ${availability}`,
+      );
+
+      // close popup if size triggered it
+      await closeOOSPopupIfOpen(page);
+
+      const row = {
+        input_sku,
+        url,
+        product_id: meta.product_id,
+        brand: meta.brand,
+        product_name: meta.product_name,
+        color_id: color.color_id,
+        color_name: color.color_name,
+        size_label: size.size_label,
+        original_price: price.original_price,
+        selling_price: price.selling_price,
+        availability,
+      };
+
+      rows.push(row);
+    }
+  }
+
+  // keep browser open for a moment (debug)
+  if (cfg.keepOpenMs > 0) await page.waitForTimeout(cfg.keepOpenMs);
+
+  return productResult({ input_sku, url }, meta, rows, "click");
+}
+
+// 6pm_all_products.csv, written by the visible and the headless bulk script
+export const CSV_HEADERS = [
+  "retailer",
+  "input_sku",
+  "url",
+  "product_id",
+  "brand",
+  "product_name",
+  "color_id",
+  "color_name",
+  "size_label",
+  "original_price",
+  "selling_price",
+  "availability",
+  "error",
+];
+
+export function buildBulkCSV(flatRows) {
+  // error rows only carry input_sku / url / error
+  const rows = flatRows.map((r) =>
+    Object.fromEntries(CSV_HEADERS.map((h) => [h, r[h] ?? ""])),
+  );
+  for (const r of rows) r.retailer = r.retailer || retailerFor(r.url);
+  return rowsToCSV(CSV_HEADERS, rows);
+}
+
+/**
+ * Adapter entry point for scrape.js.
+ */
+export async function extract({ sku, url }, ctx) {
+  const page = await ctx.newPage();
+  try {
+    const one = await scrapeOneProduct(
+      page,
+      { input_sku: sku, url },
+      { ...DEFAULTS, ...ctx.args },
+    );
+    return { ok: true, ...one, input_url: url, flatRows: one.flat_rows };
+  } finally {
+    await page.close().catch(() => {});
+  }
+}
+
+const AVAILABILITY_MAP = {
+  "IN STOCK": AVAILABILITY.IN_STOCK,
+  "OUT OF STOCK": AVAILABILITY.OUT_OF_STOCK,
+};
+
+/**
+ * Map flat rows of scrapeOneProduct() to canonical variant records.
+ * 6pm / Zappos are USD only; the CTA is implied by the availability rules
+ * above.
+ */
+export function toVariants(product) {
+  return (product.flatRows || product.flat_rows || []).map((r) => {
+    const availability =
+      AVAILABILITY_MAP[r.availability] || AVAILABILITY.UNKNOWN;
+    return makeVariant({
+      retailer: r.retailer || retailerFor(r.input_url || r.url),
+      input_sku: r.input_sku,
+      input_url: r.input_url || r.url,
+      product_id: r.product_id,
+      product_name: r.product_name,
+      brand: r.brand,
+      color_id: r.color_id,
+      color_name: r.color_name,
+      size_label: r.size_label,
+      list_price: r.original_price,
+      sale_price: r.selling_price,
+      currency: "USD",
+      availability,
+      cta:
+        availability === AVAILABILITY.IN_STOCK
+          ? CTA.ADD_TO_BAG
+          : availability === AVAILABILITY.OUT_OF_STOCK
+            ? CTA.NOTIFY_ME
+            : null,
+      scraped_at: product.extracted_at,
+      error: r.error,
+    });
+  });
+}
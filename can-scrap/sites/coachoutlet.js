@@ -0,0 +1,134 @@
+/**
+ * Coach Outlet site adapter
+ *
+ * Same Tapestry /api/products JSON as Kate Spade Outlet (sites/tapestry.js).
+ * The PDP urls carry the selected style + color in `frp`:
+ *   https://www.coachoutlet.com/products/snap-wallet/C2862.html?frp=C2862%20IMBLK
+ * The full color x size matrix of the style is returned; the frp color is
+ * kept on the product so callers can tell which variant was listed.
+ *
+ * Replaces the ScraperAPI render probe in coachoutlet/coachoutlet.php.
+ */
+
+import { createFetcher } from "../lib/fetch.js";
+import { AVAILABILITY, CTA, makeVariant } from "../lib/variant.js";
+import { fetchProductJson, parseFrp, parseProduct } from "./tapestry.js";
+
+export const retailer = "coachoutlet";
+export const hosts = ["coachoutlet.com"];
+export const engine = "http";
+
+export const DEFAULTS = {
+  timeoutMs: 25000,
+  retries: 2,
+  retryDelayMs: 800,
+  // escalation order when Akamai blocks /api/products (lib/fetch.js);
+  // "browser" is only used when the caller has a page pool (scrape.js)
+  fetchChain: [
+    "direct",
+    "scraperapi_premium",
+    "scraperapi_ultra_render",
+    "browser",
+  ],
+};
+
+/**
+ * ".../products/snap-wallet/C2862.html?frp=C2862%20IMBLK" -> "C2862"
+ */
+export function styleFromUrl(url) {
+  const frp = parseFrp(url);
+  if (frp?.style) return frp.style.toUpperCase();
+  const m = String(url).match(/\/([A-Z0-9-]+)\.html/i);
+  return m ? m[1].toUpperCase() : null;
+}
+
+export async function extractOneProduct({ sku, url }, cfg = DEFAULTS) {
+  const frp = parseFrp(url);
+  const fetcher = createFetcher(cfg);
+  const json = await fetchProductJson(url, fetcher);
+  const p = parseProduct(json);
+
+  if (!p.colors.length) {
+    return {
+      ok: false,
+      input_sku: sku,
+      input_url: url,
+      frp,
+      error: "Could not extract colors from product JSON.",
+    };
+  }
+
+  return {
+    ok: true,
+    input_sku: sku,
+    input_url: url,
+    style: p.style || styleFromUrl(url),
+    frp,
+    frp_color_found: frp?.color
+      ? p.colors.some((c) => c.id === frp.color)
+      : null,
+    product_name: p.productName,
+    brand: p.brand || "Coach",
+    fetch_provider: fetcher.provider,
+    extracted_at: new Date().toISOString(),
+    has_size_attribute: p.hasSizeAttribute,
+    colors: p.colors,
+    sizes: p.sizes,
+    flatRows: p.rows.map((r) => ({
+      input_sku: sku,
+      input_url: url,
+      product_name: p.productName,
+      ...r,
+      cta_type:
+        r.orderable === null
+          ? ""
+          : r.orderable
+            ? CTA.ADD_TO_BAG
+            : CTA.NOTIFY_ME,
+    })),
+  };
+}
+
+/**
+ * Adapter entry point for scrape.js.
+ */
+export async function extract(job, ctx = {}) {
+  return extractOneProduct(job, {
+    ...DEFAULTS,
+    ...ctx.args,
+    newPage: ctx.newPage,
+  });
+}
+
+export function toVariants(product) {
+  const product_id = product.style || styleFromUrl(product.input_url);
+  return (product.flatRows || []).map((r) =>
+    makeVariant({
+      retailer,
+      input_sku: r.input_sku,
+      input_url: r.input_url,
+      product_id,
+      variant_id: r.variant_id,
+      product_name: r.product_name,
+      brand: product.brand || "Coach",
+      color_id: r.color_id,
+      color_name: r.color_name,
+      color_family: r.color_family,
+      size_id: r.size_id,
+      size_label: r.size_label,
+      list_price: r.list_price,
+      sale_price: r.sale_price,
+      currency: r.currency || "USD",
+      availability:
+        r.orderable === null || r.orderable === undefined
+          ? AVAILABILITY.UNKNOWN
+          : r.orderable
+            ? AVAILABILITY.IN_STOCK
+            : AVAILABILITY.OUT_OF_STOCK,
+      cta: r.cta_type,
+      upc: r.upc,
+      scraped_at: product.extracted_at,
+      error: r.error,
+    }),
+  );
+}
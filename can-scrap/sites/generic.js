@@ -0,0 +1,137 @@
+/**
+ * Config-driven site adapter (Playwright)
+ *
+ * Turns a selector config (sites/selectors/<name>.json, see
+ * lib/selectors.js) into a full adapter: load the PDP, read title / brand,
+ * walk color swatches x size buttons, read price + CTA per color.
+ * Retailers whose config says "adapter": "generic" are registered in
+ * sites/index.js without any site-specific code.
+ */
+
+import { checkPage } from "../lib/block.js";
+import {
+  availabilityFromCta,
+  loadSelectors,
+  listSelectorConfigs,
+  readField,
+  selectorList,
+  walkVariants,
+} from "../lib/selectors.js";
+import { parsePrice } from "../lib/price.js";
+import { AVAILABILITY, CTA, makeVariant } from "../lib/variant.js";
+
+export const DEFAULTS = {
+  timeoutMs: 60000,
+  waitAfterClickMs: 1200,
+};
+
+export function configAdapter(config) {
+  const productIdFrom = (url) => {
+    if (!config.product_id_pattern) return null;
+    const m = String(url).match(new RegExp(config.product_id_pattern, "i"));
+    return m ? m[1].toUpperCase() : null;
+  };
+
+  async function extract({ sku, url }, ctx) {
+    const cfg = { ...DEFAULTS, ...ctx.args };
+    const page = await ctx.newPage();
+    try {
+      const res = await page.goto(url, {
+        waitUntil: "domcontentloaded",
+        timeout: cfg.timeoutMs,
+      });
+      await page.waitForLoadState("networkidle").catch(() => {});
+      await checkPage(page, res, {
+        url,
+        expect: selectorList(config.fields.title).join(", "),
+      });
+
+      const product_id =
+        (await readField(page, config.fields.product_id)) ||
+        productIdFrom(page.url()) ||
+        productIdFrom(url);
+      const product_name = await readField(page, config.fields.title);
+      const brand = await readField(page, config.fields.brand);
+      const rows = await walkVariants(page, config, cfg);
+
+      return {
+        ok: true,
+        input_sku: sku,
+        input_url: url,
+        product_id,
+        product_name,
+        brand,
+        source: `selectors:${config.name}`,
+        extracted_at: new Date().toISOString(),
+        flatRows: rows.map((r) => ({
+          input_sku: sku,
+          input_url: url,
+          product_name,
+          ...r,
+        })),
+      };
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
+
+  // config "currency" / "decimal" settle "$" and "1.299" (lib/price.js)
+  const priceHints = { currency: config.currency, decimal: config.decimal };
+
+  function toVariants(product) {
+    return (product.flatRows || []).map((r) => {
+      const list = parsePrice(r.list_price, priceHints);
+      const sale = parsePrice(r.sale_price, priceHints);
+      const availability =
+        r.available === true
+          ? AVAILABILITY.IN_STOCK
+          : r.available === false
+            ? AVAILABILITY.OUT_OF_STOCK
+            : r.error
+              ? AVAILABILITY.UNKNOWN
+              : availabilityFromCta(r.cta_label, config.cta);
+      return makeVariant({
+        retailer: config.retailer,
+        input_sku: r.input_sku,
+        input_url: r.input_url,
+        product_id: product.product_id,
+        product_name: r.product_name,
+        brand: product.brand,
+        color_id: r.color_id,
+        color_name: r.color_name,
+        size_label: r.size_label,
+        list_price: list.amount ?? sale.was,
+        sale_price: sale.amount,
+        currency: sale.currency || list.currency,
+        availability,
+        cta:
+          availability === AVAILABILITY.IN_STOCK
+            ? CTA.ADD_TO_BAG
+            : availability === AVAILABILITY.OUT_OF_STOCK
+              ? CTA.NOTIFY_ME
+              : null,
+        scraped_at: product.extracted_at,
+        error: r.error,
+      });
+    });
+  }
+
+  return {
+    retailer: config.retailer,
+    hosts: config.hosts || [],
+    engine: "browser",
+    DEFAULTS,
+    extract,
+    toVariants,
+  };
+}
+
+/**
+ * One adapter per config marked "adapter": "generic".
+ */
+export function genericAdapters() {
+  return listSelectorConfigs()
+    .map(loadSelectors)
+    .filter((c) => c.adapter === "generic")
+    .map(configAdapter);
+}
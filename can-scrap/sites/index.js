@@ -0,0 +1,67 @@
+/**
+ * Site adapter registry
+ *
+ * Every adapter module exports:
+ *   retailer  - short id written into every output row
+ *   hosts     - hostnames it handles (matched with or without "www.")
+ *   engine    - "http" (plain JSON fetch) or "browser" (Playwright page)
+ *   extract({ sku, url }, ctx) -> { ok, input_sku, input_url, flatRows, ... }
+ *   toVariants(product)        -> canonical records (lib/variant.js)
+ * and optionally, for sites whose listing pages can be crawled:
+ *   isListingUrl(url)          -> true for brand / category pages
+ *   expand({ sku, url }, ctx)  -> [{ sku, url }] one per PDP found
+ *
+ * ctx = { args, newPage } where newPage() opens a tab in the shared browser.
+ * "http" adapters declare DEFAULTS.fetchChain (lib/fetch.js) and report the
+ * provider that got through as `fetch_provider` on the product.
+ * Page markup (selectors) lives in sites/selectors/<name>.json, see
+ * lib/selectors.js; a config with "adapter": "generic" is a complete
+ * adapter on its own (sites/generic.js).
+ * Browser adapters run checkPage() (lib/block.js) after every page load, so
+ * blocked / login / gone pages fail with the reason instead of NOT_FOUND.
+ */
+
+import * as sixpm from "./6pm.js";
+import * as coachoutlet from "./coachoutlet.js";
+import { genericAdapters } from "./generic.js";
+import * as katespade from "./katespade.js";
+import * as michaelkors from "./michaelkors.js";
+import * as stockfirmati from "./stockfirmati.js";
+
+export const ADAPTERS = [
+  michaelkors,
+  sixpm,
+  katespade,
+  coachoutlet,
+  stockfirmati,
+  ...genericAdapters(), // sites/selectors/*.json with "adapter": "generic"
+];
+
+export function hostnameOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, "");
+  } catch (_) {
+    return null;
+  }
+}
+
+export function adapterFor(url) {
+  const host = hostnameOf(url);
+  if (!host) return null;
+  return (
+    ADAPTERS.find((a) =>
+      a.hosts.some((h) => host === h || host.endsWith(`.${h}`)),
+    ) || null
+  );
+}
+
+/**
+ * resolveAdapter for single-site bulk scripts (lib/run.js): rows from any
+ * other host become error rows instead of being routed elsewhere.
+ */
+export function onlyAdapter(adapter) {
+  return (item) =>
+    adapterFor(item.url) === adapter
+      ? adapter
+      : `Not a ${adapter.retailer} url: ${item.url}`;
+}
@@ -0,0 +1,199 @@
+/**
+ * Kate Spade Outlet site adapter
+ *
+ * 1) JSON path (default): resolves the style code in the PDP url
+ *    (e.g. KL418-403) through /api/products/... and builds the full
+ *    color x size matrix with price + stock in one request (sites/tapestry.js).
+ * 2) Browser path (fallback, only when the API is blocked by Akamai):
+ *    clicks every color swatch and reads the size buttons for that color.
+ *    Same logic as scrape-katespade-v2.js, selectors in
+ *    sites/selectors/katespadeoutlet.json.
+ */
+
+import { checkPage } from "../lib/block.js";
+import { createFetcher } from "../lib/fetch.js";
+import { isBlockedError } from "../lib/http.js";
+import {
+  availabilityFromCta,
+  loadSelectors,
+  readField,
+  selectorList,
+  walkVariants,
+} from "../lib/selectors.js";
+import { AVAILABILITY, CTA, makeVariant } from "../lib/variant.js";
+import { fetchProductJson, parseProduct } from "./tapestry.js";
+
+export const retailer = "katespadeoutlet";
+export const hosts = ["katespadeoutlet.com"];
+export const engine = "http"; // opens a browser page only on fallback
+
+export const NOT_FOUND = "NOT_FOUND";
+
+const SELECTORS = loadSelectors("katespadeoutlet");
+
+export const DEFAULTS = {
+  timeoutMs: 25000, // API
+  browserTimeoutMs: 60000, // swatch walker fallback
+  retries: 2,
+  retryDelayMs: 800,
+  browserFallback: true,
+  // escalation order for /api/products (lib/fetch.js); extract() falls
+  // back to the swatch walker after the last one, so no "browser" here
+  fetchChain: ["direct", "scraperapi_premium", "scraperapi_ultra_render"],
+};
+
+/**
+ * Swatch walker (browser fallback). Selectors: sites/selectors/katespadeoutlet.json
+ */
+export async function walkSwatches(page, { sku, url }, cfg = DEFAULTS) {
+  const res = await page.goto(url, {
+    waitUntil: "domcontentloaded",
+    timeout: cfg.browserTimeoutMs,
+  });
+  await page.waitForLoadState("networkidle").catch(() => {}); // React/AJAX
+
+  const title = selectorList(SELECTORS.fields.title).join(", ");
+  await page.waitForSelector(title, { timeout: 20000 }).catch(() => {});
+  await page
+    .waitForSelector(selectorList(SELECTORS.colors).join(", "), {
+      timeout: 20000,
+    })
+    .catch(() => {});
+  // blocked / empty pages would otherwise come back as NOT_FOUND rows
+  await checkPage(page, res, { url, expect: title });
+
+  const productName = await readField(page, SELECTORS.fields.title);
+  const activeColor = await readField(page, SELECTORS.colors.selected_label);
+  const rows = (await walkVariants(page, SELECTORS)).map((r) => ({
+    input_sku: sku,
+    input_url: url,
+    product_name: productName,
+    color_name: r.color_name,
+    cta_label: r.cta_label,
+    size_label: r.size_label,
+    available: r.available ?? "",
+    error: r.error,
+  }));
+
+  return {
+    ok: true,
+    input_sku: sku,
+    input_url: url,
+    product_name: productName,
+    active_color: activeColor,
+    source: "browser",
+    extracted_at: new Date().toISOString(),
+    colors: [...new Set(rows.map((r) => r.color_name).filter(Boolean))],
+    flatRows: rows,
+  };
+}
+
+export async function extractFromApi({ sku, url }, cfg = DEFAULTS) {
+  const fetcher = createFetcher(cfg);
+  const json = await fetchProductJson(url, fetcher);
+  const p = parseProduct(json);
+
+  if (!p.colors.length) {
+    return {
+      ok: false,
+      input_sku: sku,
+      input_url: url,
+      source: "api",
+      error: "Could not extract colors from product JSON.",
+    };
+  }
+
+  return {
+    ok: true,
+    input_sku: sku,
+    input_url: url,
+    style: p.style || styleFromUrl(url),
+    product_name: p.productName,
+    brand: p.brand || "Kate Spade",
+    source: "api",
+    fetch_provider: fetcher.provider,
+    extracted_at: new Date().toISOString(),
+    has_size_attribute: p.hasSizeAttribute,
+    colors: p.colors,
+    sizes: p.sizes,
+    flatRows: p.rows.map((r) => ({
+      input_sku: sku,
+      input_url: url,
+      product_name: p.productName,
+      ...r,
+      available: r.orderable,
+    })),
+  };
+}
+
+/**
+ * Adapter entry point for scrape.js: API first, swatch walker when blocked.
+ */
+export async function extract(job, ctx) {
+  const cfg = { ...DEFAULTS, ...ctx.args };
+  try {
+    return await extractFromApi(job, cfg);
+  } catch (e) {
+    if (!cfg.browserFallback || !isBlockedError(e)) throw e;
+    console.error(`[${retailer}] API blocked for ${job.sku}, using browser`);
+  }
+
+  const page = await ctx.newPage();
+  try {
+    return await walkSwatches(page, job, cfg);
+  } finally {
+    await page.close().catch(() => {});
+  }
+}
+
+/**
+ * ".../products/kendall-jelly-t-strap-sandal/KL418-403.html" -> "KL418-403"
+ */
+export function styleFromUrl(url) {
+  const m = String(url).match(/\/([A-Z0-9-]+)\.html/i);
+  return m ? m[1].toUpperCase() : null;
+}
+
+function availabilityFrom(r) {
+  if (r.available === true) return AVAILABILITY.IN_STOCK;
+  if (r.available === false) return AVAILABILITY.OUT_OF_STOCK;
+  if (r.error) return AVAILABILITY.UNKNOWN;
+  return availabilityFromCta(r.cta_label, SELECTORS.cta);
+}
+
+/**
+ * Map extractFromApi() / walkSwatches() rows to canonical variant records.
+ */
+export function toVariants(product) {
+  const product_id = product.style || styleFromUrl(product.input_url);
+  return (product.flatRows || []).map((r) => {
+    const availability = availabilityFrom(r);
+    return makeVariant({
+      retailer,
+      input_sku: r.input_sku,
+      input_url: r.input_url,
+      product_id,
+      variant_id: r.variant_id,
+      product_name: r.product_name === NOT_FOUND ? null : r.product_name,
+      brand: product.brand || "Kate Spade",
+      color_id: r.color_id,
+      color_name: r.color_name,
+      color_family: r.color_family,
+      size_id: r.size_id,
+      size_label: r.size_label,
+      list_price: r.list_price,
+      sale_price: r.sale_price,
+      currency: r.currency || "USD",
+      upc: r.upc,
+      availability,
+      cta:
+        availability === AVAILABILITY.IN_STOCK
+          ? CTA.ADD_TO_BAG
+          : availability === AVAILABILITY.OUT_OF_STOCK
+            ? CTA.NOTIFY_ME
+            : null,
+      scraped_at: product.extracted_at,
+      error: r.error,
+    });
+  });
+}
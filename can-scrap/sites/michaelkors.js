@@ -0,0 +1,561 @@
+/**
+ * Michael Kors (Demandware) site adapter
+ *
+ * Resolves a PDP url to its pid and walks the full color x size matrix
+ * through the Demandware JSON controllers:
+ *   Product-NonCachedAttributes -> available colors / sizes
+ *   Product-Variation           -> price + CTA + UPC per combo
+ *
+ * Host, Demandware site id and locale come from the input url
+ * (storefrontFromUrl), so michaelkors.com, the michaelkors.global country
+ * paths (/in/en/...) and the regional domains all take the same JSON path.
+ *
+ * Used by mk_matrix_v5.js and by the unified scrape.js CLI.
+ */
+
+import { familyFromName } from "../lib/color.js";
+import { rowsToCSV } from "../lib/csv.js";
+import { createFetcher } from "../lib/fetch.js";
+import { parseAmount, parsePrice } from "../lib/price.js";
+import { mapLimit } from "../lib/util.js";
+import { AVAILABILITY, makeVariant } from "../lib/variant.js";
+
+export const retailer = "michaelkors";
+export const hosts = [
+  "michaelkors.com",
+  "michaelkors.global",
+  "michaelkors.ca",
+  "michaelkors.co.uk",
+  "michaelkors.de",
+  "michaelkors.fr",
+  "michaelkors.it",
+  "michaelkors.es",
+];
+export const engine = "http";
+
+export const DEFAULTS = {
+  origin: "https://www.michaelkors.com", // Demandware host (tests: local server)
+  site: "mk_us",
+  locale: "en_US",
+  quantity: 1,
+  concurrency: 6, // per-product combos concurrency (color x size)
+  timeoutMs: 25000,
+  retries: 2,
+  retryDelayMs: 800,
+  // escalation order when Akamai blocks the JSON controllers (lib/fetch.js)
+  fetchChain: ["direct", "scraperapi_premium", "scraperapi_ultra_render"],
+};
+
+// regional domains -> Demandware site id + locale. Site ids follow the
+// Sites-mk_<country>-Site naming of the US store; if a storefront answers
+// 404 on Product-Variation, check its own controller calls in devtools
+// and fix the entry (or pass --site / --locale).
+const STOREFRONTS = {
+  "michaelkors.com": { site: "mk_us", locale: "en_US" },
+  "michaelkors.ca": { site: "mk_ca", locale: "en_CA" },
+  "michaelkors.co.uk": { site: "mk_uk", locale: "en_GB" },
+  "michaelkors.de": { site: "mk_de", locale: "de_DE" },
+  "michaelkors.fr": { site: "mk_fr", locale: "fr_FR" },
+  "michaelkors.it": { site: "mk_it", locale: "it_IT" },
+  "michaelkors.es": { site: "mk_es", locale: "es_ES" },
+};
+
+/**
+ * PDP url -> { origin, site, locale } of its Demandware storefront:
+ *   https://www.michaelkors.com/...          -> mk_us / en_US
+ *   https://www.michaelkors.global/in/en/... -> mk_in / en_IN
+ *   https://www.michaelkors.co.uk/...        -> mk_uk / en_GB
+ * null for urls that are not an MK storefront we know.
+ */
+export function storefrontFromUrl(url) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch (_) {
+    return null;
+  }
+  const host = u.hostname.toLowerCase().replace(/^www\./, "");
+
+  if (host === "michaelkors.global") {
+    // /<country>/<language>/<slug>/<pid>.html
+    const [country, language] = u.pathname.split("/").filter(Boolean);
+    if (
+      !/^[a-z]{2}$/i.test(country || "") ||
+      !/^[a-z]{2}$/i.test(language || "")
+    ) {
+      return null;
+    }
+    const cc = country.toLowerCase();
+    return {
+      origin: u.origin,
+      site: `mk_${cc}`,
+      locale: `${language.toLowerCase()}_${cc.toUpperCase()}`,
+    };
+  }
+
+  const known = STOREFRONTS[host];
+  return known ? { origin: u.origin, ...known } : null;
+}
+
+// region codes (mk_region_report.js --regions) -> storefront domain
+const REGION_HOSTS = {
+  us: "michaelkors.com",
+  ca: "michaelkors.ca",
+  uk: "michaelkors.co.uk",
+  de: "michaelkors.de",
+  fr: "michaelkors.fr",
+  it: "michaelkors.it",
+  es: "michaelkors.es",
+};
+
+/**
+ * Region code -> { origin, site, locale }:
+ *   us / ca / uk / de / fr / it / es -> the regional domain
+ *   any other country code (in, ae, ...) -> michaelkors.global/<cc>/en
+ * null for anything that is not a two-letter code.
+ */
+export function regionStorefront(region) {
+  const cc = String(region || "")
+    .trim()
+    .toLowerCase();
+  if (!/^[a-z]{2}$/.test(cc)) return null;
+  const host = REGION_HOSTS[cc];
+  return storefrontFromUrl(
+    host ? `https://www.${host}/` : `https://www.michaelkors.global/${cc}/en/`,
+  );
+}
+
+/**
+ * Short PDP url of a pid on a storefront: <origin>/<pid>.html, under the
+ * /<country>/<language>/ path on michaelkors.global.
+ */
+export function productUrl(pid, { origin, site, locale }) {
+  if (!/michaelkors\.global$/i.test(new URL(origin).hostname)) {
+    return `${origin}/${pid}.html`;
+  }
+  const [language] = String(locale).toLowerCase().split("_");
+  return `${origin}/${String(site).replace(/^mk_/, "")}/${language}/${pid}.html`;
+}
+
+/**
+ * { origin, site, locale } for one product: the url decides, explicit
+ * `site` / `locale` / `origin` in args (CLI flags, tests) win.
+ */
+export function storefrontArgs(url, args = {}) {
+  const sf = storefrontFromUrl(url) || {};
+  return {
+    origin: args.origin || sf.origin || DEFAULTS.origin,
+    site: args.site || sf.site || DEFAULTS.site,
+    locale: args.locale || sf.locale || DEFAULTS.locale,
+  };
+}
+
+export function extractPidFromUrl(url) {
+  // Examples:
+  // https://www.michaelkors.com/.../35S5S2ZC7B.html?astc=true
+  // https://www.michaelkors.com/.../35R4STVF6L.html?astc=true&dwvar_...
+  const m = url.match(/\/([A-Z0-9]{8,12})\.html/i);
+  if (m?.[1]) return m[1].toUpperCase();
+
+  // fallback: try last path segment without .html
+  try {
+    const u = new URL(url);
+    const seg = u.pathname.split("/").filter(Boolean).pop() || "";
+    const m2 = seg.match(/^([A-Z0-9]{8,12})(?:\.html)?$/i);
+    if (m2?.[1]) return m2[1].toUpperCase();
+  } catch (_) {}
+
+  return null;
+}
+
+export function ctaFrom(product) {
+  const available = Boolean(product?.available);
+  const notify = Boolean(product?.isNotifyMeActive);
+  const label =
+    product?.soldOutLabel?.pdp || (available ? "Add to Bag" : "Notify Me");
+  const type = available && !notify ? "ADD_TO_BAG" : "NOTIFY_ME";
+  return { type, label, available, isNotifyMeActive: notify };
+}
+
+/**
+ * Demandware price block -> numbers. `value` is the number; some
+ * storefronts leave it null and only fill `formatted` ("₹ 24,500.00"),
+ * which lib/price.js reads instead.
+ */
+export function pickPrice(product) {
+  const p = product?.price || {};
+  const currency = p?.sales?.currency ?? p?.list?.currency ?? null;
+  const amount = (part) =>
+    part?.value ?? parseAmount(part?.formatted, { currency });
+  return {
+    sales: amount(p?.sales),
+    sales_formatted: p?.sales?.formatted ?? null,
+    list: amount(p?.list),
+    list_formatted: p?.list?.formatted ?? null,
+    discount_percent: p?.discount ?? null,
+    currency:
+      currency ??
+      parsePrice(p?.sales?.formatted ?? p?.list?.formatted).currency ??
+      null,
+  };
+}
+
+export function pickNameBrand(product) {
+  const productName = product?.productName ?? null;
+  const brand =
+    product?.michael_kors_brand_name || product?.brand || "Michael Kors";
+  return { productName, brand };
+}
+
+export function demandwareBase({ origin = DEFAULTS.origin, site, locale }) {
+  return `${origin}/on/demandware.store/Sites-${site}-Site/${locale}`;
+}
+
+export function nonCachedUrl({ origin, site, locale, pid, color }) {
+  const base = demandwareBase({ origin, site, locale });
+  const qp = new URLSearchParams();
+  qp.set("pid", pid);
+  if (color) qp.set(`dwvar_${pid}_color`, color);
+  return `${base}/Product-NonCachedAttributes?${qp.toString()}`;
+}
+
+export function variationUrl({
+  origin,
+  site,
+  locale,
+  pid,
+  color,
+  size,
+  quantity,
+}) {
+  const base = demandwareBase({ origin, site, locale });
+  const qp = new URLSearchParams();
+  qp.set(`dwvar_${pid}_color`, color);
+  qp.set(`dwvar_${pid}_size`, size);
+  qp.set("pid", pid);
+  qp.set("quantity", String(quantity ?? 1));
+  return `${base}/Product-Variation?${qp.toString()}`;
+}
+
+export function extractVariationAttributes(product) {
+  const attrs = Array.isArray(product?.variationAttributes)
+    ? product.variationAttributes
+    : [];
+  const colorAttr = attrs.find((a) => (a?.id || a?.attributeId) === "color");
+  const sizeAttr = attrs.find((a) => (a?.id || a?.attributeId) === "size");
+
+  const colors = Array.isArray(colorAttr?.values)
+    ? colorAttr.values
+        .filter((v) => v?.selectable !== false)
+        .map((v) => ({
+          id: String(v?.value ?? v?.id ?? ""),
+          name: v?.displayValue ?? null,
+          inStockHint: v?.inStock ?? null,
+          swatch_url:
+            v?.images?.swatch?.[0]?.absURL ||
+            v?.images?.swatch?.[0]?.url ||
+            null,
+        }))
+        .filter((c) => c.id)
+    : [];
+
+  const hasSizeAttribute = Boolean(
+    Array.isArray(sizeAttr?.values) && sizeAttr.values.length,
+  );
+
+  const sizes = hasSizeAttribute
+    ? sizeAttr.values
+        .filter((v) => v?.selectable !== false)
+        .map((v) => ({
+          id: String(v?.value ?? v?.id ?? ""),
+          label: v?.displayValue ?? null,
+          inStockHint: v?.inStock ?? null,
+        }))
+        .filter((s) => s.id)
+    : [{ id: "NS", label: "NS", inStockHint: null }];
+
+  return { colors, sizes, hasSizeAttribute };
+}
+
+export const CSV_HEADERS = [
+  "input_sku",
+  "input_url",
+  "pid",
+  "product_name",
+  "brand",
+  "site",
+  "locale",
+  "has_size_attribute",
+  "color_id",
+  "color_name",
+  "swatch_url",
+  "color_family",
+  "swatch_hex",
+  "size_id",
+  "size_label",
+  "variant_sku",
+  "UPC",
+  "availableForInStorePickup",
+  "selectedProductUrlNoQuantity",
+  "cta_type",
+  "cta_label",
+  "available",
+  "notify_me_active",
+  "sales_value",
+  "sales_formatted",
+  "list_value",
+  "list_formatted",
+  "discount_percent",
+  "currency",
+  "error",
+];
+
+export function buildBulkCSV(flatRows) {
+  return rowsToCSV(CSV_HEADERS, flatRows);
+}
+
+export async function extractOneProduct({ pid, inputSku, inputUrl, args }) {
+  const {
+    origin = DEFAULTS.origin,
+    site,
+    locale,
+    concurrency,
+    quantity,
+  } = args;
+  const fetcher = createFetcher(args);
+  const referer = `${origin}/`;
+
+  const baseUrl = nonCachedUrl({ origin, site, locale, pid, color: "" });
+  const baseJson = await fetcher.json(baseUrl, { referer });
+  const baseProduct = baseJson?.product || {};
+
+  const { colors, sizes, hasSizeAttribute } =
+    extractVariationAttributes(baseProduct);
+
+  if (!colors.length) {
+    return {
+      ok: false,
+      pid,
+      input_sku: inputSku,
+      input_url: inputUrl,
+      error: "Could not extract colors from NonCachedAttributes response.",
+    };
+  }
+
+  let { productName, brand } = pickNameBrand(baseProduct);
+
+  // fallback name/brand
+  if (!productName) {
+    const fallbackColor = colors[0]?.id || "0001";
+    const fallbackSize = sizes[0]?.id || "NS";
+    const vUrl = variationUrl({
+      origin,
+      site,
+      locale,
+      pid,
+      color: fallbackColor,
+      size: fallbackSize,
+      quantity,
+    });
+    const vJson = await fetcher.json(vUrl, { referer });
+    const nb = pickNameBrand(vJson?.product || {});
+    productName = productName || nb.productName;
+    brand = brand || nb.brand;
+  }
+
+  // tasks for matrix
+  const tasks = [];
+  for (const c of colors)
+    for (const s of sizes) tasks.push({ color: c, size: s });
+
+  const results = await mapLimit(
+    tasks,
+    concurrency,
+    async ({ color, size }) => {
+      const url = variationUrl({
+        origin,
+        site,
+        locale,
+        pid,
+        color: color.id,
+        size: size.id || "NS",
+        quantity,
+      });
+
+      try {
+        const j = await fetcher.json(url, { referer });
+        const p = j?.product || {};
+        const cta = ctaFrom(p);
+        const price = pickPrice(p);
+
+        return {
+          ok: true,
+          pid,
+          input_sku: inputSku,
+          input_url: inputUrl,
+
+          product_name: productName,
+          brand,
+          site,
+          locale,
+          has_size_attribute: hasSizeAttribute,
+
+          color_id: color.id,
+          color_name: color.name,
+          swatch_url: color.swatch_url || "",
+          color_family: familyFromName(color.name),
+
+          size_id: size.id || "NS",
+          size_label: size.label || size.id || "NS",
+
+          variant_sku: String(p?.selectedVariationProductId ?? p?.id ?? ""),
+          UPC: p?.UPC ?? "",
+          availableForInStorePickup: p?.availableForInStorePickup ?? "",
+          selectedProductUrlNoQuantity: p?.selectedProductUrlNoQuantity ?? "",
+
+          cta_type: cta.type,
+          cta_label: cta.label,
+          available: cta.available,
+          notify_me_active: cta.isNotifyMeActive,
+
+          sales_value: price.sales ?? "",
+          sales_formatted: price.sales_formatted ?? "",
+          list_value: price.list ?? "",
+          list_formatted: price.list_formatted ?? "",
+          discount_percent: price.discount_percent ?? "",
+          currency: price.currency ?? "",
+
+          error: "",
+        };
+      } catch (e) {
+        return {
+          ok: false,
+          pid,
+          input_sku: inputSku,
+          input_url: inputUrl,
+          product_name: productName,
+          brand,
+          site,
+          locale,
+          has_size_attribute: hasSizeAttribute,
+          color_id: color.id,
+          color_name: color.name,
+          swatch_url: color.swatch_url || "",
+          color_family: familyFromName(color.name),
+          size_id: size.id || "NS",
+          size_label: size.label || size.id || "NS",
+          variant_sku: "",
+          UPC: "",
+          availableForInStorePickup: "",
+          selectedProductUrlNoQuantity: "",
+          cta_type: "",
+          cta_label: "",
+          available: "",
+          notify_me_active: "",
+          sales_value: "",
+          sales_formatted: "",
+          list_value: "",
+          list_formatted: "",
+          discount_percent: "",
+          currency: "",
+          error: String(e?.message || e),
+        };
+      }
+    },
+  );
+
+  // grouped JSON output per pid (matrix)
+  const matrix = {};
+  for (const row of results) {
+    const cid = row.color_id;
+    if (!matrix[cid])
+      matrix[cid] = {
+        color_id: cid,
+        color_name: row.color_name,
+        swatch_url: row.swatch_url,
+        sizes: {},
+      };
+    matrix[cid].sizes[row.size_id] = row;
+  }
+
+  return {
+    ok: true,
+    pid,
+    input_sku: inputSku,
+    input_url: inputUrl,
+    product_name: productName,
+    brand,
+    site,
+    locale,
+    fetch_provider: fetcher.provider,
+    extracted_at: new Date().toISOString(),
+    has_size_attribute: hasSizeAttribute,
+    colors,
+    sizes,
+    matrix: Object.values(matrix),
+    flatRows: results,
+  };
+}
+
+/**
+ * Adapter entry point for scrape.js.
+ */
+export async function extract({ sku, url }, ctx = {}) {
+  const pid = extractPidFromUrl(url);
+  if (!pid) {
+    return {
+      ok: false,
+      pid: null,
+      input_sku: sku,
+      input_url: url,
+      error: "Could not parse pid from url.",
+    };
+  }
+
+  return extractOneProduct({
+    pid,
+    inputSku: sku,
+    inputUrl: url,
+    args: {
+      ...DEFAULTS,
+      ...ctx.args,
+      ...storefrontArgs(url, ctx.args),
+      newPage: ctx.newPage,
+    },
+  });
+}
+
+/**
+ * Map flat rows of extractOneProduct() to canonical variant records.
+ */
+export function toVariants(product) {
+  const scraped_at = product.extracted_at;
+  return (product.flatRows || []).map((r) =>
+    makeVariant({
+      retailer,
+      input_sku: r.input_sku,
+      input_url: r.input_url,
+      product_id: r.pid,
+      variant_id: r.variant_sku,
+      product_name: r.product_name,
+      brand: r.brand,
+      color_id: r.color_id,
+      color_name: r.color_name,
+      color_family: r.color_family,
+      size_id: r.size_id,
+      size_label: r.size_label,
+      list_price: r.list_value,
+      sale_price: r.sales_value,
+      currency: r.currency,
+      availability: !r.cta_type
+        ? AVAILABILITY.UNKNOWN
+        : r.cta_type === "ADD_TO_BAG"
+          ? AVAILABILITY.IN_STOCK
+          : AVAILABILITY.OUT_OF_STOCK,
+      cta: r.cta_type,
+      upc: r.UPC,
+      scraped_at,
+      error: r.error,
+    }),
+  );
+}
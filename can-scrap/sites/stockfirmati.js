@@ -0,0 +1,332 @@
+/**
+ * Stockfirmati site adapter (Playwright)
+ *
+ * PDP: https://www.stockfirmati.com/d/<id>/<brand>/<category>/<gender>/<slug>
+ * Selectors are the ones noted in setup.txt.
+ *
+ * Listing pages (brand / category, e.g. /bags-and-accessories/wallets) are
+ * not PDPs: with crawl mode on, crawlListing() walks their pagination and
+ * the collected /d/<id>/... links are scraped one by one instead.
+ */
+
+import { checkPage } from "../lib/block.js";
+import { parseAmount } from "../lib/price.js";
+import { loadSelectors, selectorList } from "../lib/selectors.js";
+import { sizeCategory } from "../lib/size.js";
+import { AVAILABILITY, makeVariant } from "../lib/variant.js";
+
+export const retailer = "stockfirmati";
+export const hosts = ["stockfirmati.com"];
+export const engine = "browser";
+
+const SELECTORS = loadSelectors("stockfirmati");
+
+export const DEFAULTS = {
+  timeoutMs: 60000,
+  maxPages: 50, // listing pages per crawl
+};
+
+/**
+ * Reads the size table of a PDP. `.product-taglie` (sizes),
+ * `.product-disponibilita` (qty) and the price cells are parallel lists:
+ * either one table row per size, or one cell holding every size on its own
+ * line. `.stock` blocks carry "<size> / Currently Not Available" per size.
+ * Runs in the page; `sel` is size_table + title of
+ * sites/selectors/stockfirmati.json.
+ */
+function readSizeTable(sel) {
+  const text = (el) => (el ? (el.innerText || "").trim() : "");
+
+  // one entry per child element, or per line when the cell is plain text
+  const cellList = (el) => {
+    if (!el) return [];
+    const kids = Array.from(el.children).map(text).filter(Boolean);
+    if (kids.length > 1) return kids;
+    return text(el)
+      .split(/\n+/)
+      .map((t) => t.trim())
+      .filter(Boolean);
+  };
+
+  let sizes = [];
+  let qtys = [];
+  let prices = [];
+  const cells = Array.from(document.querySelectorAll(sel.sizes));
+  if (cells.length > 1) {
+    for (const cell of cells) {
+      const row = cell.closest("tr") || cell.parentElement;
+      sizes.push(text(cell));
+      qtys.push(text(row?.querySelector(sel.qty)));
+      prices.push(text(row?.querySelector(sel.price)));
+    }
+  } else {
+    sizes = cellList(cells[0]);
+    qtys = cellList(document.querySelector(sel.qty));
+    prices = cellList(document.querySelector(sel.price));
+  }
+
+  const stock = Array.from(document.querySelectorAll(sel.stock)).map((el) => {
+    const spans = el.querySelectorAll("span");
+    return { size: text(spans[0]), status: text(spans[1]) };
+  });
+
+  return {
+    product_name: text(document.querySelector(sel.title)),
+    sizes,
+    qtys,
+    prices,
+    stock,
+  };
+}
+
+/**
+ * "1.299,00 €" -> 1299, "12,50" -> 12.5 (Italian number format)
+ */
+export function parseEuro(text) {
+  return parseAmount(text, { currency: "EUR", decimal: "," });
+}
+
+function parseQty(text) {
+  const m = String(text || "").match(/\d+/);
+  return m ? Number(m[0]) : null;
+}
+
+export function isNotAvailable(text) {
+  return /currently not available|non disponibile/i.test(String(text || ""));
+}
+
+export async function scrapeOne(page, url, cfg = DEFAULTS) {
+  const res = await page.goto(url, {
+    waitUntil: "domcontentloaded",
+    timeout: cfg.timeoutMs,
+  });
+  const title = selectorList(SELECTORS.fields.title).join(", ");
+  await checkPage(page, res, { url, expect: title });
+
+  const table = await page.evaluate(readSizeTable, {
+    ...SELECTORS.size_table,
+    title,
+  });
+  const stockBySize = new Map(table.stock.map((s) => [s.size, s.status]));
+
+  // one-size items: no size column but still a qty / stock line
+  const sizes = table.sizes.length ? table.sizes : ["NS"];
+
+  const rows = sizes.map((size, i) => {
+    const qtyText = table.qtys[i] ?? table.qtys[0] ?? "";
+    const priceTier = table.prices[i] ?? table.prices[0] ?? "";
+    const stockText =
+      stockBySize.get(size) ??
+      (sizes.length === 1 ? table.stock[0]?.status : "");
+    const notAvailable = isNotAvailable(stockText) || isNotAvailable(qtyText);
+    return {
+      size,
+      quantity: notAvailable ? 0 : parseQty(qtyText),
+      price: parseEuro(priceTier),
+      price_tier: priceTier,
+      not_available: notAvailable,
+      stock_text: stockText || qtyText,
+    };
+  });
+
+  return {
+    url,
+    ...parseProductUrl(url),
+    product_name: table.product_name || null,
+    sizes: rows,
+  };
+}
+
+export function productIdFromUrl(url) {
+  const m = String(url).match(/\/d\/(\d+)\//);
+  return m ? m[1] : null;
+}
+
+const GENDERS = ["donna", "uomo", "bambino", "bambina", "unisex"];
+
+/**
+ * /d/<id>/<brand>/<category>/<gender>/<slug>
+ *   /d/34745/valentino-bags/bags/donna/valentino-bags-borsa-donna-rosa
+ *   -> { product_id: "34745", brand: "valentino-bags", category: "bags",
+ *        gender: "donna", color: "rosa" }
+ * The color is the slug tail after "-<gender>-" (Italian, as on the site).
+ */
+export function parseProductUrl(url) {
+  let parts = [];
+  try {
+    parts = new URL(url).pathname.split("/").filter(Boolean);
+  } catch (_) {}
+  if (parts[0] !== "d" || !/^\d+$/.test(parts[1] || "")) {
+    return {
+      product_id: null,
+      brand: null,
+      category: null,
+      gender: null,
+      color: null,
+    };
+  }
+
+  const [, product_id, brand, category, gender, slug = ""] = parts;
+  const g = [gender, ...GENDERS].find((x) => x && slug.includes(`-${x}-`));
+  const color = g ? slug.slice(slug.lastIndexOf(`-${g}-`) + g.length + 2) : "";
+
+  return {
+    product_id,
+    brand: brand || null,
+    category: category || null,
+    gender: gender || null,
+    color: color || null,
+  };
+}
+
+export function isListingUrl(url) {
+  return !productIdFromUrl(url);
+}
+
+/**
+ * All /d/<id>/ links on the current page + the next page url (if any).
+ */
+async function readListingPage(page) {
+  return page.evaluate((sel) => {
+    const links = Array.from(document.querySelectorAll(sel.links))
+      .map((a) => a.href)
+      .filter((h) => /\/d\/\d+\//.test(h));
+
+    const next = sel.next.map((s) => document.querySelector(s)).find(Boolean);
+
+    return { links, next: next ? next.href || null : null };
+  }, SELECTORS.listing);
+}
+
+/**
+ * Walk a listing page and its pagination, return deduped PDP urls
+ * (query / hash stripped, first url seen per product id wins).
+ */
+export async function crawlListing(page, url, cfg = DEFAULTS) {
+  const byId = new Map();
+  const visited = new Set();
+  let next = url;
+
+  for (let n = 0; next && n < cfg.maxPages; n++) {
+    if (visited.has(next)) break;
+    visited.add(next);
+
+    const res = await page.goto(next, {
+      waitUntil: "domcontentloaded",
+      timeout: cfg.timeoutMs,
+    });
+    await page.waitForLoadState("networkidle").catch(() => {});
+    await checkPage(page, res, { url: next });
+
+    const found = await readListingPage(page);
+    let added = 0;
+    for (const href of found.links) {
+      const u = new URL(href);
+      const clean = `${u.origin}${u.pathname}`;
+      const id = productIdFromUrl(clean);
+      if (!id || byId.has(id)) continue;
+      byId.set(id, clean);
+      added++;
+    }
+
+    console.error(`[${retailer}] listing page ${n + 1}: +${added} products`);
+    if (!added) break; // pagination looped back or ran past the end
+    next = found.next;
+  }
+
+  return [...byId.values()];
+}
+
+/**
+ * Crawl mode hook for lib/run.js: one listing row -> one row per PDP
+ * (input sku is kept, so every PDP stays traceable to the listing).
+ */
+export async function expand({ sku, url }, ctx) {
+  const page = await ctx.newPage();
+  try {
+    const urls = await crawlListing(page, url, { ...DEFAULTS, ...ctx.args });
+    return urls.map((u) => ({ sku, url: u, listing_url: url }));
+  } finally {
+    await page.close().catch(() => {});
+  }
+}
+
+/**
+ * Adapter entry point for scrape.js.
+ */
+export async function extract({ sku, url }, ctx) {
+  if (isListingUrl(url)) {
+    return {
+      ok: false,
+      input_sku: sku,
+      input_url: url,
+      error: "Listing page, not a PDP (run with --crawl).",
+    };
+  }
+
+  const page = await ctx.newPage();
+  try {
+    const { sizes, ...one } = await scrapeOne(page, url, {
+      ...DEFAULTS,
+      ...ctx.args,
+    });
+    const ok = sizes.some((s) => s.quantity !== null || s.not_available);
+    return {
+      ok,
+      input_sku: sku,
+      input_url: url,
+      ...one,
+      extracted_at: new Date().toISOString(),
+      sizes,
+      flatRows: sizes.map((s) => ({
+        input_sku: sku,
+        input_url: url,
+        ...one,
+        ...s,
+        error: ok ? "" : "Size / availability table not found.",
+      })),
+    };
+  } finally {
+    await page.close().catch(() => {});
+  }
+}
+
+function availabilityFrom(r) {
+  if (r.not_available) return AVAILABILITY.OUT_OF_STOCK;
+  if (r.quantity === null || r.quantity === undefined) {
+    return AVAILABILITY.UNKNOWN;
+  }
+  return r.quantity > 0 ? AVAILABILITY.IN_STOCK : AVAILABILITY.OUT_OF_STOCK;
+}
+
+// url gender -> shoe chart of lib/size.js
+const SIZE_GENDER = { uomo: "men", donna: "women" };
+
+/**
+ * Map scrapeOne() size rows to canonical variant records (prices are EUR,
+ * sizes IT). Category and gender come from the url, which says "scarpe" /
+ * "uomo" where the Italian product name often doesn't.
+ */
+export function toVariants(product) {
+  return (product.flatRows || []).map((r) =>
+    makeVariant({
+      retailer,
+      input_sku: r.input_sku,
+      input_url: r.input_url,
+      product_id: r.product_id || productIdFromUrl(r.input_url),
+      product_name: r.product_name,
+      brand: r.brand,
+      color_name: r.color,
+      size_id: r.size,
+      size_label: r.size,
+      size_from: "IT",
+      size_category: sizeCategory(r.category),
+      size_gender: SIZE_GENDER[r.gender] || null,
+      sale_price: r.price,
+      currency: "EUR",
+      availability: availabilityFrom(r),
+      scraped_at: product.extracted_at,
+      error: r.error,
+    }),
+  );
+}
@@ -0,0 +1,258 @@
+/**
+ * Tapestry outlet product JSON (katespadeoutlet.com, coachoutlet.com)
+ *
+ * Both storefronts serve every PDP twice:
+ *   /products/<slug>/<STYLE>.html       -> React page (Akamai protected)
+ *   /api/products/<slug>/<STYLE>.html   -> the JSON the page hydrates from
+ *
+ * The JSON is SFCC-shaped: a master product with variationAttributes
+ * (color / size) plus one entry per orderable variant. Field names differ a
+ * little between the two brands and between releases, so the readers below
+ * try the known spellings in order.
+ */
+
+/**
+ * https://www.katespadeoutlet.com/products/kendall-jelly-t-strap-sandal/KL418-403.html
+ *   -> https://www.katespadeoutlet.com/api/products/kendall-jelly-t-strap-sandal/KL418-403.html
+ */
+export function apiUrlFor(url) {
+  const u = new URL(url);
+  if (!u.pathname.startsWith("/products/")) {
+    throw new Error(`Not a product url: ${url}`);
+  }
+  return `${u.origin}/api${u.pathname}`;
+}
+
+/**
+ * frp = "find related product": style, color and size separated by
+ * space padding, e.g. "CCQ52 QBOLV" or "KC382 VK3  S".
+ */
+export function parseFrp(url) {
+  let raw = null;
+  try {
+    raw = new URL(url).searchParams.get("frp");
+  } catch (_) {}
+  if (!raw) return null;
+
+  const [style, color, size] = raw.trim().split(/\s+/);
+  return {
+    raw,
+    style: style || null,
+    color: color || null,
+    size: size || null,
+  };
+}
+
+/**
+ * `fetcher` comes from createFetcher() (lib/fetch.js), so the caller can
+ * read which provider got through.
+ */
+export async function fetchProductJson(url, fetcher) {
+  const u = new URL(url);
+  return fetcher.json(apiUrlFor(url), { referer: `${u.origin}/` });
+}
+
+function first(...vals) {
+  for (const v of vals) {
+    if (v !== undefined && v !== null && v !== "") return v;
+  }
+  return null;
+}
+
+function productOf(json) {
+  return first(
+    json?.product,
+    json?.pageData?.product,
+    json?.data?.product,
+    Array.isArray(json?.products) ? json.products[0] : null,
+    json,
+  );
+}
+
+function attrValues(product, id) {
+  const attrs = Array.isArray(product?.variationAttributes)
+    ? product.variationAttributes
+    : [];
+  const attr = attrs.find((a) => (a?.id || a?.attributeId) === id);
+  return Array.isArray(attr?.values) ? attr.values : [];
+}
+
+function priceOf(p) {
+  const price = p?.price || p?.prices || {};
+  const sales = first(price?.sales?.value, price?.sale, price?.current);
+  const list = first(price?.list?.value, price?.list, price?.original);
+  return {
+    sales: typeof sales === "object" ? null : sales,
+    list: typeof list === "object" ? null : list,
+    currency: first(
+      price?.sales?.currency,
+      price?.list?.currency,
+      price?.currency,
+    ),
+  };
+}
+
+function orderableOf(v) {
+  const o = first(
+    v?.orderable,
+    v?.availability?.orderable,
+    v?.inventory?.orderable,
+    v?.inStock,
+    v?.available,
+  );
+  return o === null ? null : Boolean(o);
+}
+
+/**
+ * JSON -> { style, productName, brand, colors, sizes, rows }
+ * rows: one per color x size, in the same spirit as mk flatRows.
+ */
+export function parseProduct(json) {
+  const product = productOf(json) || {};
+
+  // per-value stock hints, used when the JSON has no variants list
+  const hintOf = (val) =>
+    val?.inStock === undefined && val?.orderable === undefined
+      ? null
+      : Boolean(val?.inStock ?? val?.orderable);
+
+  const colors = attrValues(product, "color")
+    .map((v) => ({
+      id: String(first(v?.value, v?.id) ?? ""),
+      name: first(v?.displayValue, v?.name, v?.title),
+      inStockHint: hintOf(v),
+      swatch_url: first(
+        v?.images?.swatch?.[0]?.absURL,
+        v?.images?.swatch?.[0]?.url,
+        v?.swatch?.src,
+      ),
+    }))
+    .filter((c) => c.id);
+
+  const sizeValues = attrValues(product, "size");
+  const hasSizeAttribute = sizeValues.length > 0;
+  const sizes = hasSizeAttribute
+    ? sizeValues
+        .map((v) => ({
+          id: String(first(v?.value, v?.id) ?? ""),
+          label: first(v?.displayValue, v?.name, v?.value),
+          inStockHint: hintOf(v),
+        }))
+        .filter((s) => s.id)
+    : [{ id: "NS", label: "NS", inStockHint: null }];
+
+  const variants = Array.isArray(product?.variants) ? product.variants : [];
+
+  function findVariant(colorId, sizeId) {
+    return variants.find((v) => {
+      const vv = v?.variationValues || v?.attributes || {};
+      if (String(vv.color ?? "") !== colorId) return false;
+      if (!hasSizeAttribute) return true;
+      return String(vv.size ?? "") === sizeId;
+    });
+  }
+
+  const productPrice = priceOf(product);
+  const rows = [];
+  for (const c of colors) {
+    for (const s of sizes) {
+      const v = findVariant(c.id, s.id);
+      if (variants.length && !v) continue; // combo not offered
+
+      const price = v ? priceOf(v) : {};
+      rows.push({
+        color_id: c.id,
+        color_name: c.name,
+        swatch_url: c.swatch_url,
+        size_id: s.id,
+        size_label: s.label,
+        variant_id: v ? first(v?.id, v?.productId, v?.sku) : null,
+        upc: v ? first(v?.upc, v?.UPC) : null,
+        list_price: first(price.list, productPrice.list),
+        sale_price: first(price.sales, productPrice.sales),
+        currency: first(price.currency, productPrice.currency),
+        orderable: v ? orderableOf(v) : first(s.inStockHint, c.inStockHint),
+        error: "",
+      });
+    }
+  }
+
+  return {
+    style: first(product?.masterId, product?.id, product?.styleNumber),
+    productName: first(product?.productName, product?.name),
+    brand: first(product?.brand),
+    hasSizeAttribute,
+    colors,
+    sizes,
+    rows,
+  };
+}
+
+/* ----------------------------- STORE INVENTORY ----------------------------- */
+
+/**
+ * Same endpoint test-api.js probes:
+ *   /api/stores/get-stores?products=KL418+XT6++6+++B&zipCode=110043&startFrom=0
+ * `products` is the variant SKU exactly as the product JSON spells it
+ * (space padded), URLSearchParams turns the spaces into "+".
+ */
+export function storesUrl(origin, { variantSku, zipCode, startFrom = 0 }) {
+  const qp = new URLSearchParams();
+  qp.set("products", variantSku);
+  qp.set("zipCode", zipCode);
+  qp.set("startFrom", String(startFrom));
+  return `${origin}/api/stores/get-stores?${qp.toString()}`;
+}
+
+export async function fetchStores(origin, query, fetcher) {
+  return fetcher.json(storesUrl(origin, query), { referer: `${origin}/` });
+}
+
+/**
+ * JSON -> [{ store_id, store_name, address, ..., pickup_available }]
+ */
+export function parseStores(json) {
+  const stores = first(
+    Array.isArray(json?.stores) ? json.stores : null,
+    Array.isArray(json?.data?.stores) ? json.data.stores : null,
+    Array.isArray(json?.result?.stores) ? json.result.stores : null,
+    Array.isArray(json) ? json : null,
+  );
+  if (!stores) return [];
+
+  return stores.map((s) => {
+    const inv = Array.isArray(s?.productInventory)
+      ? s.productInventory[0]
+      : s?.inventory;
+    const pickup = first(
+      s?.availableForPickup,
+      s?.isAvailable,
+      s?.available,
+      inv?.availableForPickup,
+      inv?.available,
+      inv?.orderable,
+    );
+    return {
+      store_id: first(s?.id, s?.storeId, s?.ID),
+      store_name: first(s?.name, s?.storeName),
+      address: first(
+        s?.address1,
+        s?.address?.line1,
+        typeof s?.address === "string" ? s.address : null,
+      ),
+      city: first(s?.city, s?.address?.city),
+      state: first(s?.stateCode, s?.state, s?.address?.state),
+      postal_code: first(s?.postalCode, s?.zipCode, s?.address?.postalCode),
+      phone: first(s?.phone, s?.phoneNumber),
+      distance: first(s?.distance, s?.distanceValue),
+      distance_unit: first(s?.distanceUnit, s?.distanceUnits),
+      pickup_available: pickup === null ? null : Boolean(pickup),
+      stock_status: first(
+        s?.stockStatus,
+        s?.availabilityStatus,
+        inv?.status,
+        inv?.stockLevel,
+      ),
+    };
+  });
+}
@@ -0,0 +1,172 @@
+/**
+ * Store-level inventory by ZIP code (Kate Spade Outlet / Coach Outlet)
+ * Input: variant SKUs + one or more ZIP codes
+ * Output: ONE JSON + ONE CSV, one row per (variant, zip, store)
+ *
+ * Uses the /api/stores/get-stores endpoint probed by test-api.js and
+ * returns pickup availability + distance per store, so the store view can
+ * sit next to the online matrix (ks_matrix.js / coach_matrix.js output).
+ *
+ * Variant SKUs are taken from --skus (a CSV with a "variant_id" or "sku"
+ * column - the *_bulk.csv files work as is) and/or repeated --sku flags.
+ *
+ * Usage:
+ *   node store_inventory.js --retailer katespadeoutlet --sku "KL418 XT6  6   B" --zip 10001
+ *   node store_inventory.js --retailer coachoutlet --skus ./out/coach_bulk.csv --zip 10001,60601
+ *   SCRAPERAPI_KEY=... node store_inventory.js ... --chain direct,scraperapi_premium  (see lib/fetch.js)
+ *
+ * Output files:
+ *   ./out/<retailer>_stores.json
+ *   ./out/<retailer>_stores.csv
+ */
+
+import fs from "fs";
+import path from "path";
+import { readCSVColumn, rowsToCSV } from "./lib/csv.js";
+import { createFetcher, parseChain } from "./lib/fetch.js";
+import { ensureDir, mapLimit } from "./lib/util.js";
+import * as coachoutlet from "./sites/coachoutlet.js";
+import * as katespade from "./sites/katespade.js";
+import { fetchStores, parseStores } from "./sites/tapestry.js";
+
+const RETAILERS = {
+  [katespade.retailer]: "https://www.katespadeoutlet.com",
+  [coachoutlet.retailer]: "https://www.coachoutlet.com",
+};
+
+const DEFAULTS = {
+  retailer: katespade.retailer,
+  skusFile: null,
+  skus: [],
+  zips: [],
+  outDir: "./out",
+  origin: "", // default: the retailer's site (tests: local server)
+  concurrency: 3,
+  timeoutMs: 25000,
+  retries: 2,
+  retryDelayMs: 800,
+  fetchChain: ["direct", "scraperapi_premium", "scraperapi_ultra_render"], // lib/fetch.js
+};
+
+function parseArgs(argv) {
+  const args = { ...DEFAULTS, skus: [], zips: [] };
+  const rest = argv.slice(2);
+
+  for (let i = 0; i < rest.length; i++) {
+    const a = rest[i];
+    if (a === "--retailer") args.retailer = rest[++i] || args.retailer;
+    else if (a === "--skus") args.skusFile = rest[++i] || null;
+    else if (a === "--sku") args.skus.push(rest[++i] || "");
+    else if (a === "--zip")
+      args.zips.push(...String(rest[++i] || "").split(","));
+    else if (a === "--out") args.outDir = rest[++i] || args.outDir;
+    else if (a === "--origin") args.origin = rest[++i] || args.origin;
+    else if (a === "--concurrency")
+      args.concurrency = Number(rest[++i] || args.concurrency);
+    else if (a === "--timeoutMs")
+      args.timeoutMs = Number(rest[++i] || args.timeoutMs);
+    else if (a === "--retries")
+      args.retries = Number(rest[++i] || args.retries);
+    else if (a === "--chain")
+      args.fetchChain = parseChain(rest[++i] || args.fetchChain.join(","));
+  }
+  args.zips = args.zips.map((z) => z.trim()).filter(Boolean);
+  return args;
+}
+
+const HEADERS = [
+  "retailer",
+  "variant_id",
+  "zip_code",
+  "store_id",
+  "store_name",
+  "address",
+  "city",
+  "state",
+  "postal_code",
+  "phone",
+  "distance",
+  "distance_unit",
+  "pickup_available",
+  "stock_status",
+  "error",
+];
+
+async function main() {
+  const args = parseArgs(process.argv);
+  if (!RETAILERS[args.retailer]) {
+    console.error(
+      `Unknown --retailer ${args.retailer} (use: ${Object.keys(RETAILERS).join(", ")})`,
+    );
+    process.exit(2);
+  }
+  const origin = args.origin || RETAILERS[args.retailer];
+
+  const skus = [...args.skus];
+  if (args.skusFile)
+    skus.push(...readCSVColumn(args.skusFile, ["variant_id", "sku"]));
+  const uniqSkus = [...new Set(skus.filter((s) => s.trim()))];
+
+  if (!uniqSkus.length || !args.zips.length) {
+    console.error("Need at least one --sku/--skus and one --zip.");
+    process.exit(2);
+  }
+  ensureDir(args.outDir);
+
+  const queries = [];
+  for (const variantSku of uniqSkus)
+    for (const zipCode of args.zips) queries.push({ variantSku, zipCode });
+
+  // one fetcher for the whole run: once a provider gets through, the
+  // remaining sku x zip queries start from it
+  const fetcher = createFetcher(args);
+  const results = await mapLimit(queries, args.concurrency, async (q) => {
+    const base = {
+      retailer: args.retailer,
+      variant_id: q.variantSku,
+      zip_code: q.zipCode,
+    };
+    try {
+      const json = await fetchStores(origin, q, fetcher);
+      const stores = parseStores(json);
+      console.error(`${q.variantSku} @ ${q.zipCode}: ${stores.length} stores`);
+      return { ...base, ok: true, stores };
+    } catch (e) {
+      console.error(`${q.variantSku} @ ${q.zipCode} failed:`, e?.message);
+      return { ...base, ok: false, stores: [], error: String(e?.message || e) };
+    }
+  });
+
+  const rows = [];
+  for (const r of results) {
+    if (!r.ok) rows.push({ ...r, error: r.error });
+    for (const s of r.stores) rows.push({ ...r, ...s, error: "" });
+  }
+
+  const name = `${args.retailer}_stores`;
+  const jsonPath = path.join(args.outDir, `${name}.json`);
+  fs.writeFileSync(
+    jsonPath,
+    JSON.stringify(
+      { extracted_at: new Date().toISOString(), queries: results },
+      null,
+      2,
+    ),
+    "utf-8",
+  );
+
+  const csvPath = path.join(args.outDir, `${name}.csv`);
+  fs.writeFileSync(csvPath, rowsToCSV(HEADERS, rows), "utf-8");
+
+  const pickup = rows.filter((r) => r.pickup_available === true).length;
+  console.error(`Queries OK    : ${results.filter((r) => r.ok).length}`);
+  console.error(`Queries Fail  : ${results.filter((r) => !r.ok).length}`);
+  console.error(`Store Rows    : ${rows.length} (${pickup} with pickup)`);
+  console.error(`Saved JSON    : ${jsonPath}`);
+  console.error(`Saved CSV     : ${csvPath}`);
+}
+
+main().catch((e) => {
+  console.error("Fatal:", e);
+  process.exit(1);
+});
@@ -0,0 +1,185 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import {
+  getAvailability,
+  getColors,
+  getPrice,
+  getProductMeta,
+  getSizes,
+  matrixFromState,
+  normalize6pmUrl,
+  productResult,
+  retailerFor,
+  scrapeOneProduct,
+  toVariants,
+} from "../sites/6pm.js";
+import { adapterFor } from "../sites/index.js";
+import { availabilityFromCta, loadSelectors } from "../lib/selectors.js";
+import { fixture, launchTestBrowser, startFixtureServer } from "./server.js";
+
+const browser = await launchTestBrowser();
+const skip = !browser && "chromium not installed";
+
+describe("6pm CTA labels", () => {
+  const { cta } = loadSelectors("6pm");
+
+  test("maps the button text", () => {
+    assert.equal(availabilityFromCta("Add to Shopping Bag", cta), "IN_STOCK");
+    assert.equal(availabilityFromCta("Notify Me", cta), "OUT_OF_STOCK");
+    assert.equal(availabilityFromCta("", cta), "UNKNOWN");
+  });
+});
+
+describe("6pm / zappos urls", () => {
+  const zappos =
+    "https://www.zappos.com/p/womens-calvin-klein-presley/product/10008224/color/3";
+
+  test("both hosts go to the 6pm adapter, rows keep their retailer", () => {
+    assert.equal(adapterFor(zappos).retailer, "6pm");
+    assert.equal(retailerFor(zappos), "zappos");
+    assert.equal(retailerFor("https://www.6pm.com/p/x/product/1"), "6pm");
+  });
+
+  test("normalize6pmUrl drops /color/<id>", () => {
+    assert.equal(
+      normalize6pmUrl(zappos),
+      "https://www.zappos.com/p/womens-calvin-klein-presley/product/10008224",
+    );
+  });
+
+  test("toVariants tags zappos rows", () => {
+    const [v] = toVariants({
+      flat_rows: [{ input_sku: "z1", url: zappos, availability: "IN STOCK" }],
+    });
+    assert.equal(v.retailer, "zappos");
+    assert.equal(v.availability, "IN_STOCK");
+  });
+});
+
+describe("matrixFromState", () => {
+  const detail = JSON.parse(fixture("6pm/state_10008224.json"));
+  const item = { input_sku: "451-lot6267", url: "https://www.6pm.com/p/x" };
+
+  test("every color x size, stock from onHand", () => {
+    const { meta, rows } = matrixFromState(detail, item);
+    assert.deepEqual(meta, {
+      product_id: "10008224",
+      brand: "Calvin Klein",
+      product_name: "Presley",
+    });
+    assert.deepEqual(
+      rows.map((r) => [r.color_id, r.size_label, r.availability]),
+      [
+        ["3", "7", "IN STOCK"],
+        ["3", "8", "OUT OF STOCK"],
+        ["3", "9", "OUT OF STOCK"],
+        ["1124507", "7", "OUT OF STOCK"],
+        ["1124507", "8", "OUT OF STOCK"],
+        ["1124507", "9", "IN STOCK"],
+      ],
+    );
+    assert.equal(rows[0].selling_price, 63.97);
+    assert.equal(rows[0].original_price, 79);
+    assert.equal(rows[5].selling_price, 55.99);
+    assert.equal(rows[0].input_sku, "451-lot6267");
+  });
+
+  test("has_size_attribute from the sizes found", () => {
+    const sized = matrixFromState(detail, item);
+    assert.equal(
+      productResult(item, sized.meta, sized.rows, "state").has_size_attribute,
+      true,
+    );
+    const oneSize = matrixFromState(
+      { styles: [{ styleId: 3, color: "Black", stocks: [{ onHand: 2 }] }] },
+      item,
+    );
+    assert.equal(
+      productResult(item, oneSize.meta, oneSize.rows, "state")
+        .has_size_attribute,
+      false,
+    );
+  });
+
+  test("no styles -> null (click walker takes over)", () => {
+    assert.equal(matrixFromState(null, item), null);
+    assert.equal(matrixFromState({ styles: [] }, item), null);
+  });
+});
+
+describe("6pm PDP (captured pages)", { skip }, () => {
+  let server;
+  let context;
+  before(async () => {
+    server = await startFixtureServer((url) => ({
+      file: `6pm${url.pathname}.html`,
+    }));
+    context = await browser.newContext();
+  });
+  after(async () => {
+    await server.close();
+    await browser.close();
+  });
+
+  async function open(name) {
+    const page = await context.newPage();
+    await page.goto(`${server.origin}/${name}`);
+    return page;
+  }
+
+  test("add to bag -> IN STOCK", async () => {
+    const page = await open("pdp_in_stock");
+    assert.equal(await getAvailability(page), "IN STOCK");
+    assert.deepEqual(await getPrice(page), {
+      selling_price: 63.97,
+      original_price: 79,
+    });
+    await page.close();
+  });
+
+  test("notify me -> OUT OF STOCK", async () => {
+    const page = await open("pdp_notify_me");
+    assert.equal(await getAvailability(page), "OUT OF STOCK");
+    await page.close();
+  });
+
+  test("out-of-stock popup wins over the add to bag button", async () => {
+    const page = await open("pdp_oos_popup");
+    assert.equal(await getAvailability(page), "OUT OF STOCK");
+    await page.close();
+  });
+
+  test("matrix from the embedded state, no clicks", async () => {
+    const page = await open("pdp_state");
+    const product = await scrapeOneProduct(
+      page,
+      { input_sku: "a", url: page.url() },
+      { timeoutMs: 10000, waitAfterLoadMs: 0 },
+    );
+    assert.equal(product.source, "state");
+    assert.equal(product.flat_rows.length, 6);
+    assert.equal(product.matrix.length, 2);
+    await page.close();
+  });
+
+  test("meta, colors and sizes", async () => {
+    const page = await open("pdp_in_stock");
+    assert.deepEqual(await getProductMeta(page), {
+      product_id: "10008224",
+      brand: "Calvin Klein",
+      product_name: "Presley",
+    });
+    assert.deepEqual(
+      (await getColors(page)).map((c) => [c.color_id, c.color_name]),
+      [
+        ["3", "Black"],
+        ["1124507", "Nude"],
+      ],
+    );
+    assert.deepEqual(
+      (await getSizes(page)).map((s) => s.size_label),
+      ["7", "8"],
+    );
+    await page.close();
+  });
+});
@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import { describe, test } from "node:test";
+import { BLOCK, classifyResponse } from "../lib/block.js";
+
+// pages saved while debugging the retailers (repo root / can-scrap)
+const saved = (p) =>
+  fs.readFileSync(new URL(`../${p}`, import.meta.url), "utf-8");
+
+describe("classifyResponse on saved pages", () => {
+  test("katespadeoutlet Akamai page (debug.html)", () => {
+    assert.equal(
+      classifyResponse({
+        status: 200,
+        url: "https://www.katespadeoutlet.com/products/x/KL418-403.html",
+        body: saved("../debug.html"),
+      }),
+      BLOCK.AKAMAI_BLOCK,
+    );
+  });
+
+  test("403 / 429 without a body", () => {
+    assert.equal(classifyResponse({ status: 403 }), BLOCK.AKAMAI_BLOCK);
+    assert.equal(classifyResponse({ status: 429 }), BLOCK.AKAMAI_BLOCK);
+  });
+
+  test("6pm PDP heading (can-scrap.html) is OK", () => {
+    assert.equal(
+      classifyResponse({
+        status: 200,
+        url: "https://www.6pm.com/p/x/product/10008224",
+        body: saved("can-scrap.html"),
+      }),
+      BLOCK.OK,
+    );
+  });
+
+  test("redirect to home, login, soft 404", () => {
+    const url = "https://www.stockfirmati.com/d/1/a/b/uomo/c";
+    assert.equal(
+      classifyResponse({
+        status: 200,
+        url,
+        finalUrl: "https://www.stockfirmati.com/",
+        body: "<html>home</html>",
+      }),
+      BLOCK.REDIRECT_TO_HOME,
+    );
+    for (const home of ["/home/", "/en-us/", "/en-us/home", "/index.html"]) {
+      assert.equal(
+        classifyResponse({
+          status: 200,
+          url,
+          finalUrl: `https://www.stockfirmati.com${home}`,
+          body: "<html>home</html>",
+        }),
+        BLOCK.REDIRECT_TO_HOME,
+        home,
+      );
+    }
+    assert.equal(
+      classifyResponse({
+        status: 200,
+        url,
+        finalUrl: "https://www.stockfirmati.com/customer/account/login",
+        body: "<html>login</html>",
+      }),
+      BLOCK.LOGIN_REQUIRED,
+    );
+    assert.equal(
+      classifyResponse({ status: 404, url, body: "<html></html>" }),
+      BLOCK.SOFT_404,
+    );
+  });
+});
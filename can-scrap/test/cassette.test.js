@@ -0,0 +1,94 @@
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, describe, test } from "node:test";
+import { openCassette } from "../lib/cassette.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cassette-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// just enough of a Playwright context / page / request for attach()
+function fakeContext() {
+  const context = new EventEmitter();
+  context.route = async (_pattern, handler) => {
+    context.handler = handler;
+  };
+  return context;
+}
+
+function fakeRequest(url, page) {
+  const frame = { page: () => page };
+  page.mainFrame = () => frame;
+  return {
+    method: () => "GET",
+    url: () => url,
+    resourceType: () => "document",
+    isNavigationRequest: () => true,
+    frame: () => frame,
+  };
+}
+
+describe("attach()", () => {
+  test("record: close() waits for the response bodies", async () => {
+    const recordDir = path.join(dir, "record");
+    const cassette = openCassette({ record: recordDir });
+    const context = fakeContext();
+    await cassette.attach(context);
+
+    const url = "https://www.example.com/p/1.html";
+    context.emit("response", {
+      request: () => fakeRequest(url, {}),
+      url: () => url,
+      status: () => 200,
+      statusText: () => "OK",
+      headers: () => ({}),
+      allHeaders: async () => ({ "content-type": "text/html" }),
+      body: () =>
+        new Promise((resolve) =>
+          setTimeout(() => resolve(Buffer.from("<h1>ok</h1>")), 50),
+        ),
+    });
+    assert.equal(fs.readdirSync(recordDir).length, 0);
+
+    await cassette.close();
+    assert.equal(cassette.stats.recorded, 1);
+    const [file] = fs.readdirSync(recordDir);
+    const entry = JSON.parse(
+      fs.readFileSync(path.join(recordDir, file), "utf-8"),
+    );
+    assert.equal(Buffer.from(entry.body, "base64").toString(), "<h1>ok</h1>");
+  });
+
+  test("replay: a missing page rejects goto with NOT_RECORDED + url", async () => {
+    const replayDir = path.join(dir, "replay");
+    fs.mkdirSync(replayDir);
+    const cassette = openCassette({ replay: replayDir });
+    const context = fakeContext();
+    await cassette.attach(context);
+
+    const url = "https://www.example.com/p/2.html";
+    const page = {
+      // what Chromium does when the route is aborted
+      async goto(target) {
+        await context.handler({
+          request: () => fakeRequest(target, page),
+          abort: async () => {},
+        });
+        throw new Error("page.goto: net::ERR_INTERNET_DISCONNECTED");
+      },
+    };
+    context.emit("page", page);
+
+    await assert.rejects(page.goto(url), (e) => {
+      assert.equal(e.reason, "NOT_RECORDED");
+      assert.match(
+        e.message,
+        /NOT_RECORDED: GET https:\/\/www\.example\.com\/p\/2\.html/,
+      );
+      return true;
+    });
+    assert.deepEqual(cassette.stats.missing, [`GET ${url}`]);
+  });
+});
@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { AVAILABILITY, CTA } from "../lib/variant.js";
+import {
+  DEFAULTS,
+  extractOneProduct,
+  styleFromUrl,
+  toVariants,
+} from "../sites/coachoutlet.js";
+import { startFixtureServer } from "./server.js";
+
+const PATH = "/products/turner-flap-crossbody-bag/CCQ52.html";
+
+describe("styleFromUrl", () => {
+  test("frp style first, then the url path", () => {
+    assert.equal(styleFromUrl(`https://www.coachoutlet.com${PATH}`), "CCQ52");
+    assert.equal(
+      styleFromUrl(
+        "https://www.coachoutlet.com/products/snap-wallet/C2862.html?frp=C2862%20IMBLK",
+      ),
+      "C2862",
+    );
+  });
+});
+
+describe("extractOneProduct (/api/products stand-in)", () => {
+  let server;
+  before(async () => {
+    server = await startFixtureServer((url) =>
+      url.pathname === `/api${PATH}`
+        ? { file: "tapestry/coach_CCQ52.json" }
+        : null,
+    );
+  });
+  after(() => server.close());
+
+  const cfg = () => ({ ...DEFAULTS, fetchChain: ["direct"] });
+
+  test("one-size style: one row per color, frp color found", async () => {
+    const url = `${server.origin}${PATH}?frp=CCQ52+QBOLV`;
+    const p = await extractOneProduct({ sku: "C-1", url }, cfg());
+
+    assert.equal(p.ok, true);
+    assert.deepEqual(server.hits, [`/api${PATH}`]);
+    assert.equal(p.style, "CCQ52");
+    assert.equal(p.brand, "Coach");
+    assert.equal(p.has_size_attribute, false);
+    assert.equal(p.frp_color_found, true);
+    assert.deepEqual(
+      p.flatRows.map((r) => [r.color_id, r.size_id, r.cta_type]),
+      [
+        ["QBOLV", "NS", CTA.ADD_TO_BAG],
+        ["IMBLK", "NS", CTA.NOTIFY_ME],
+      ],
+    );
+
+    const [gold, black] = toVariants(p);
+    assert.equal(gold.product_id, "CCQ52");
+    assert.equal(gold.variant_id, "CCQ52 QBOLV");
+    assert.equal(gold.sale_price, 119);
+    assert.equal(gold.list_price, 398);
+    assert.equal(gold.currency, "USD");
+    assert.equal(gold.availability, AVAILABILITY.IN_STOCK);
+    assert.equal(black.availability, AVAILABILITY.OUT_OF_STOCK);
+  });
+
+  test("unknown style -> HTTP error", async () => {
+    await assert.rejects(
+      extractOneProduct(
+        { sku: "C-2", url: `${server.origin}/products/x/NOPE.html` },
+        cfg(),
+      ),
+    );
+  });
+});
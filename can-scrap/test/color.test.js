@@ -0,0 +1,218 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import zlib from "node:zlib";
+import {
+  COLOR_FAMILY,
+  colorFamilyOf,
+  decodePng,
+  dominantColor,
+  familyFromName,
+  familyFromRgb,
+} from "../lib/color.js";
+import { createSwatchReader, swatchImageUrl } from "../lib/swatch.js";
+import { makeVariant } from "../lib/variant.js";
+import { startFixtureServer } from "./server.js";
+
+function chunk(type, data) {
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length);
+  // CRC is not checked by decodePng
+  return Buffer.concat([
+    len,
+    Buffer.from(type, "ascii"),
+    data,
+    Buffer.alloc(4),
+  ]);
+}
+
+/**
+ * Minimal PNG encoder for the tests: RGB (color type 2) rows with one
+ * filter type, or a palette image (color type 3, 8 bit).
+ */
+function makePng(width, height, rows, { filter = 0, palette = null } = {}) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;
+  ihdr[9] = palette ? 3 : 2;
+  const bpp = palette ? 1 : 3;
+
+  const lines = rows.map((row, y) => {
+    const raw = Buffer.from(row.flat());
+    const prev = y ? Buffer.from(rows[y - 1].flat()) : Buffer.alloc(raw.length);
+    const out = Buffer.alloc(raw.length);
+    for (let x = 0; x < raw.length; x++) {
+      const a = x >= bpp ? raw[x - bpp] : 0;
+      out[x] =
+        filter === 1 ? raw[x] - a : filter === 2 ? raw[x] - prev[x] : raw[x];
+    }
+    return Buffer.concat([Buffer.from([filter]), out]);
+  });
+
+  return Buffer.concat([
+    Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]),
+    chunk("IHDR", ihdr),
+    ...(palette ? [chunk("PLTE", Buffer.from(palette.flat()))] : []),
+    chunk("IDAT", zlib.deflateSync(Buffer.concat(lines))),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+const LUGGAGE = [139, 90, 43];
+const NAVY = [20, 33, 80];
+
+// 4x4 swatch: mostly luggage leather, a navy stitch line
+const swatchRows = [
+  [LUGGAGE, LUGGAGE, LUGGAGE, LUGGAGE],
+  [LUGGAGE, [141, 92, 45], LUGGAGE, LUGGAGE],
+  [NAVY, NAVY, NAVY, NAVY],
+  [LUGGAGE, LUGGAGE, [137, 88, 40], LUGGAGE],
+];
+
+describe("familyFromName", () => {
+  test("keywords, multi and metallic first", () => {
+    assert.equal(familyFromName("Black"), COLOR_FAMILY.BLACK);
+    assert.equal(familyFromName("Luggage"), COLOR_FAMILY.BROWN);
+    assert.equal(familyFromName("Black Multi"), COLOR_FAMILY.MULTI);
+    assert.equal(familyFromName("Pale Gold"), COLOR_FAMILY.METALLIC);
+    assert.equal(familyFromName("Optic White"), COLOR_FAMILY.WHITE);
+    assert.equal(familyFromName("Vanilla"), COLOR_FAMILY.NEUTRAL);
+    assert.equal(familyFromName("Navy"), COLOR_FAMILY.BLUE);
+    assert.equal(familyFromName("Nero"), COLOR_FAMILY.BLACK);
+    assert.equal(familyFromName("Heritage"), null);
+  });
+
+  test("two colors: the first one in the name", () => {
+    assert.equal(familyFromName("Navy/White"), COLOR_FAMILY.BLUE);
+    assert.equal(familyFromName("Red/Black"), COLOR_FAMILY.RED);
+    assert.equal(familyFromName("Black/Gold"), COLOR_FAMILY.METALLIC);
+  });
+
+  test("logo colorways resolve to their base color", () => {
+    assert.equal(familyFromName("Blue Printed"), COLOR_FAMILY.BLUE);
+    assert.equal(familyFromName("Brown Signature"), COLOR_FAMILY.BROWN);
+    assert.equal(familyFromName("Vanilla Logo"), COLOR_FAMILY.NEUTRAL);
+    assert.equal(familyFromName("Floral Print"), COLOR_FAMILY.MULTI);
+  });
+});
+
+describe("familyFromRgb", () => {
+  test("hue / lightness bands", () => {
+    assert.equal(familyFromRgb([10, 10, 12]), COLOR_FAMILY.BLACK);
+    assert.equal(familyFromRgb([250, 250, 248]), COLOR_FAMILY.WHITE);
+    assert.equal(familyFromRgb([128, 128, 130]), COLOR_FAMILY.GREY);
+    assert.equal(familyFromRgb(LUGGAGE), COLOR_FAMILY.BROWN);
+    assert.equal(familyFromRgb([225, 205, 170]), COLOR_FAMILY.NEUTRAL);
+    assert.equal(familyFromRgb([200, 20, 30]), COLOR_FAMILY.RED);
+    assert.equal(familyFromRgb([245, 180, 195]), COLOR_FAMILY.PINK);
+    assert.equal(familyFromRgb([40, 140, 60]), COLOR_FAMILY.GREEN);
+    assert.equal(familyFromRgb(NAVY), COLOR_FAMILY.BLUE);
+    assert.equal(familyFromRgb([110, 50, 150]), COLOR_FAMILY.PURPLE);
+  });
+});
+
+describe("decodePng / dominantColor", () => {
+  for (const filter of [0, 1, 2]) {
+    test(`RGB, filter ${filter}`, () => {
+      const { width, height, pixels } = decodePng(
+        makePng(4, 4, swatchRows, { filter }),
+      );
+      assert.deepEqual([width, height], [4, 4]);
+      assert.deepEqual([...pixels.subarray(0, 4)], [...LUGGAGE, 255]);
+      assert.deepEqual([...pixels.subarray(32, 36)], [...NAVY, 255]);
+    });
+  }
+
+  test("palette image", () => {
+    const png = makePng(2, 1, [[[0], [1]]], { palette: [NAVY, LUGGAGE] });
+    assert.deepEqual(
+      [...decodePng(png).pixels],
+      [...NAVY, 255, ...LUGGAGE, 255],
+    );
+  });
+
+  test("dominant = biggest bucket, averaged", () => {
+    const { pixels } = decodePng(makePng(4, 4, swatchRows));
+    assert.deepEqual(dominantColor(pixels), LUGGAGE);
+  });
+
+  test("not a PNG", () => {
+    assert.throws(() => decodePng(Buffer.from("GIF89a......")), /Not a PNG/);
+  });
+});
+
+describe("colorFamilyOf", () => {
+  test("swatch wins, multi / metallic names stay", () => {
+    assert.equal(
+      colorFamilyOf({ name: "Heritage", swatchFamily: "brown" }),
+      "brown",
+    );
+    assert.equal(
+      colorFamilyOf({ name: "Signature Multi", swatchFamily: "brown" }),
+      "multi",
+    );
+    assert.equal(colorFamilyOf({ name: "Black" }), "black");
+  });
+
+  test("makeVariant falls back to the name", () => {
+    assert.equal(makeVariant({ color_name: "Luggage" }).color_family, "brown");
+    assert.equal(
+      makeVariant({ color_name: "Luggage", color_family: "neutral" })
+        .color_family,
+      "neutral",
+    );
+  });
+});
+
+describe("swatch reader (image stand-in)", () => {
+  let server;
+  before(async () => {
+    server = await startFixtureServer((url) =>
+      url.pathname.endsWith("_SW")
+        ? { body: makePng(4, 4, swatchRows), type: "image/png" }
+        : null,
+    );
+  });
+  after(() => server.close());
+
+  test("scene7 urls are asked as small PNG", () => {
+    assert.equal(
+      swatchImageUrl(
+        "https://michaelkors.scene7.com/is/image/MichaelKors/X_SW",
+      ),
+      "https://michaelkors.scene7.com/is/image/MichaelKors/X_SW?fmt=png&wid=32&hei=32",
+    );
+    assert.equal(
+      swatchImageUrl("https://x.test/a.jpg"),
+      "https://x.test/a.jpg",
+    );
+  });
+
+  test("annotate reads each swatch once", async () => {
+    const reader = createSwatchReader();
+    const swatch = `${server.origin}/is/image/MichaelKors/35R6G6AS2Y-0200_SW`;
+    const rows = await reader.annotate([
+      { color_name: "Heritage", swatch_url: swatch },
+      { color_name: "Heritage", swatch_url: swatch },
+      { color_name: "Black Multi", swatch_url: swatch },
+      { color_name: "Black", swatch_url: `${server.origin}/is/image/X/gone` },
+      { color_name: "Navy", swatch_url: `${server.origin}/navy.jpg` },
+    ]);
+
+    assert.deepEqual(
+      rows.map((r) => [r.color_family, r.swatch_hex]),
+      [
+        ["brown", "#8b5a2b"],
+        ["brown", "#8b5a2b"],
+        ["multi", "#8b5a2b"],
+        ["black", null],
+        ["blue", null],
+      ],
+    );
+    assert.equal(server.hits.filter((h) => h.includes("_SW")).length, 1);
+    assert.ok(server.hits[0].includes("fmt=png"));
+    // not Scene7: never requested, skipped rather than failed
+    assert.ok(!server.hits.some((h) => h.includes("navy")));
+    assert.deepEqual(reader.stats, { read: 1, failed: 1, skipped: 1 });
+  });
+});
@@ -0,0 +1,191 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, describe, test } from "node:test";
+import { diffRuns } from "../lib/diff.js";
+import { loadRunVariants } from "../lib/runfile.js";
+import { AVAILABILITY, makeVariant } from "../lib/variant.js";
+import {
+  DEFAULTS as MK_DEFAULTS,
+  extractOneProduct,
+} from "../sites/michaelkors.js";
+import { startFixtureServer } from "./server.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "diff-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function writeRun(name, data) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, JSON.stringify(data));
+  return file;
+}
+
+const MK_URL = "https://www.michaelkors.com/marilyn/35R6G6AS2Y.html";
+const SIXPM_URL = "https://www.6pm.com/p/ugg-tasman/product/9747442";
+
+function mkRow(color_id, sales_value, cta_type) {
+  return {
+    input_sku: "MK-1",
+    input_url: MK_URL,
+    pid: "35R6G6AS2Y",
+    color_id,
+    color_name: color_id === "0001" ? "Black" : "Luggage",
+    size_id: "NS",
+    size_label: "NS",
+    sales_value,
+    currency: "USD",
+    cta_type,
+  };
+}
+
+function variant(fields) {
+  return makeVariant({
+    retailer: "michaelkors",
+    input_sku: "MK-1",
+    input_url: MK_URL,
+    product_id: "35R6G6AS2Y",
+    size_id: "NS",
+    currency: "USD",
+    ...fields,
+  });
+}
+
+describe("diffRuns", () => {
+  test("price, stock, new and removed variants", () => {
+    const before = [
+      variant({ color_id: "0001", sale_price: 298, availability: "IN_STOCK" }),
+      variant({
+        color_id: "0200",
+        sale_price: 398,
+        availability: "OUT_OF_STOCK",
+      }),
+      variant({ color_id: "0300", sale_price: 398, availability: "IN_STOCK" }),
+    ];
+    const after = [
+      variant({ color_id: "0001", sale_price: 249, availability: "IN_STOCK" }),
+      variant({ color_id: "0200", sale_price: 398, availability: "IN_STOCK" }),
+      variant({ color_id: "0400", sale_price: 398, availability: "IN_STOCK" }),
+    ];
+
+    const { summary, changes } = diffRuns(before, after);
+    assert.deepEqual(changes.map((c) => [c.change_type, c.color_id]).sort(), [
+      ["NEW_VARIANT", "0400"],
+      ["PRICE_DROP", "0001"],
+      ["REMOVED_VARIANT", "0300"],
+      ["RESTOCK", "0200"],
+    ]);
+    assert.equal(summary.PRICE_DROP, 1);
+    const drop = changes.find((c) => c.change_type === "PRICE_DROP");
+    assert.equal(drop.price_change, -49);
+  });
+
+  test("a product that failed in the new run is not removed", () => {
+    const before = [variant({ color_id: "0001", sale_price: 298 })];
+    const after = [variant({ product_id: null, error: "HTTP 503" })];
+    assert.deepEqual(diffRuns(before, after).changes, []);
+  });
+});
+
+describe("loadRunVariants", () => {
+  test("mk bulk.json: ok:false product -> error variant", () => {
+    const file = writeRun("bulk.json", {
+      products: [
+        {
+          ok: false,
+          pid: "35R6G6AS2Y",
+          input_sku: "MK-1",
+          input_url: MK_URL,
+          error: "AKAMAI_BLOCK",
+        },
+      ],
+    });
+    const [v] = loadRunVariants(file);
+    assert.equal(v.retailer, "michaelkors");
+    assert.equal(v.input_url, MK_URL);
+    assert.equal(v.error, "AKAMAI_BLOCK");
+  });
+
+  test("mk bulk.json: flat rows -> canonical variants", () => {
+    const file = writeRun("bulk_ok.json", {
+      products: [
+        {
+          ok: true,
+          flatRows: [
+            mkRow("0001", 298, "ADD_TO_BAG"),
+            mkRow("0200", 398, "NOTIFY_ME"),
+          ],
+        },
+      ],
+    });
+    assert.deepEqual(
+      loadRunVariants(file).map((v) => [v.color_id, v.availability]),
+      [
+        ["0001", AVAILABILITY.IN_STOCK],
+        ["0200", AVAILABILITY.OUT_OF_STOCK],
+      ],
+    );
+  });
+
+  test("6pm_all_products.json: failed product -> error variant", () => {
+    const file = writeRun("6pm_all_products.json", [
+      { ok: false, input_sku: "6PM-1", url: SIXPM_URL, error: "timeout" },
+    ]);
+    const [v] = loadRunVariants(file);
+    assert.equal(v.retailer, "6pm");
+    assert.equal(v.input_url, SIXPM_URL);
+    assert.equal(v.error, "timeout");
+  });
+
+  test("mk: a product with no colors fails with its input url", async () => {
+    const server = await startFixtureServer((url) =>
+      url.pathname.endsWith("/Product-NonCachedAttributes")
+        ? { body: JSON.stringify({ product: {} }), type: "application/json" }
+        : null,
+    );
+    try {
+      const one = await extractOneProduct({
+        pid: "35R6G6AS2Y",
+        inputSku: "MK-1",
+        inputUrl: MK_URL,
+        args: { ...MK_DEFAULTS, origin: server.origin, fetchChain: ["direct"] },
+      });
+      const file = writeRun("bulk_failed.json", { products: [one] });
+      const [v] = loadRunVariants(file);
+      assert.equal(v.input_url, MK_URL);
+      assert.match(v.error, /Could not extract colors/);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test("old run vs failed new run: no REMOVED_VARIANT", () => {
+    const oldFile = writeRun("old.json", {
+      products: [
+        {
+          ok: true,
+          flatRows: [
+            mkRow("0001", 298, "ADD_TO_BAG"),
+            mkRow("0200", 398, "NOTIFY_ME"),
+          ],
+        },
+      ],
+    });
+    const newFile = writeRun("new.json", {
+      products: [
+        {
+          ok: false,
+          pid: "35R6G6AS2Y",
+          input_sku: "MK-1",
+          input_url: MK_URL,
+          error: "HTTP 503",
+        },
+      ],
+    });
+    const { summary } = diffRuns(
+      loadRunVariants(oldFile),
+      loadRunVariants(newFile),
+    );
+    assert.equal(summary.REMOVED_VARIANT, 0);
+  });
+});
@@ -0,0 +1,57 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, describe, test } from "node:test";
+import { appendToHistory, openHistory, priceHistory } from "../lib/history.js";
+import { makeVariant } from "../lib/variant.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "history-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const variant = (sale_price, scraped_at) =>
+  makeVariant({
+    retailer: "michaelkors",
+    product_id: "35R6G6AS2Y",
+    color_id: "0001",
+    size_id: "NS",
+    sale_price,
+    currency: "USD",
+    availability: "IN_STOCK",
+    scraped_at,
+  });
+
+describe("history db", () => {
+  test("appends across runs, saved by rename", async () => {
+    const dbPath = path.join(dir, "runs.sqlite");
+    await appendToHistory(dbPath, [variant(298, "2026-01-01T00:00:00Z")]);
+    await appendToHistory(dbPath, [variant(249, "2026-01-02T00:00:00Z")]);
+
+    const history = await openHistory(dbPath, { readOnly: true });
+    try {
+      const rows = priceHistory(history, { productId: "35R6G6AS2Y" });
+      assert.deepEqual(
+        rows.map((r) => r.sale_price),
+        [298, 249],
+      );
+      assert.throws(() => history.save(), /read-only/);
+    } finally {
+      history.close();
+    }
+    assert.deepEqual(fs.readdirSync(dir), ["runs.sqlite"]);
+  });
+
+  test("a second writer fails fast while the first holds the lock", async () => {
+    const dbPath = path.join(dir, "locked.sqlite");
+    const first = await openHistory(dbPath);
+    try {
+      await assert.rejects(openHistory(dbPath), /in use by another run/);
+      // readers don't wait for the lock
+      (await openHistory(dbPath, { readOnly: true })).close();
+    } finally {
+      first.close();
+    }
+    (await openHistory(dbPath)).close();
+    assert.equal(fs.existsSync(`${dbPath}.lock`), false);
+  });
+});
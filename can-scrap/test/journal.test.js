@@ -0,0 +1,73 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, describe, test } from "node:test";
+import { openJournal } from "../lib/journal.js";
+import { writeFlatOutputs } from "../lib/run.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "journal-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const items = ["a", "b", "c"];
+const keyOf = (k) => k;
+
+describe("openJournal", () => {
+  test("resume skips recorded rows, retry-failed redoes failures", () => {
+    const file = path.join(dir, "modes.jsonl");
+    const j = openJournal(file);
+    j.record("a", true, { n: 1 });
+    j.record("b", false, { n: 2 });
+
+    assert.deepEqual(
+      openJournal(file, { resume: true }).pending(items, keyOf),
+      ["c"],
+    );
+    assert.deepEqual(
+      openJournal(file, { retryFailed: true }).pending(items, keyOf),
+      ["b"],
+    );
+  });
+
+  test("a torn last line is cut off before appending", () => {
+    const file = path.join(dir, "torn.jsonl");
+    openJournal(file).record("a", true, { n: 1 });
+    fs.appendFileSync(file, '{"key":"b","ok":true,"res');
+
+    const j = openJournal(file, { resume: true });
+    assert.deepEqual(j.pending(items, keyOf), ["b", "c"]);
+    j.record("b", true, { n: 2 });
+
+    const again = openJournal(file, { resume: true });
+    assert.deepEqual(again.results(items, keyOf), [{ n: 1 }, { n: 2 }]);
+    assert.equal(fs.readFileSync(file, "utf-8").split("\n").length, 3);
+  });
+});
+
+describe("writeFlatOutputs", () => {
+  const product = (k) => ({ ok: true, input_sku: k, flat_rows: [{ k }] });
+  const failure = (k) => ({ product: null, errorRow: { input_sku: k } });
+
+  test("--retry-failed: counts come from the final journal state", () => {
+    const file = path.join(dir, "flat.jsonl");
+    const first = openJournal(file);
+    first.record("a", true, { product: product("a") });
+    first.record("b", false, failure("b"));
+
+    // b is fixed on retry; c was never run
+    const retry = openJournal(file, { retryFailed: true });
+    assert.deepEqual(retry.pending(items, keyOf), ["b"]);
+    retry.record("b", true, { product: product("b") });
+
+    const out = writeFlatOutputs({
+      outDir: dir,
+      name: "flat",
+      results: retry.results(items, keyOf),
+      toCSV: (rows) => rows.map((r) => r.k).join("\n"),
+    });
+    assert.equal(out.products.length, 2);
+    assert.equal(out.failed.length, 0);
+    assert.equal(fs.readFileSync(out.csvPath, "utf-8"), "a\nb");
+    assert.equal(JSON.parse(fs.readFileSync(out.jsonPath, "utf-8")).length, 2);
+  });
+});
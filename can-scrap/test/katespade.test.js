@@ -0,0 +1,63 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { AVAILABILITY, CTA } from "../lib/variant.js";
+import {
+  DEFAULTS,
+  extractFromApi,
+  styleFromUrl,
+  toVariants,
+} from "../sites/katespade.js";
+import { startFixtureServer } from "./server.js";
+
+const PATH = "/products/kendall-jelly-t-strap-sandal/KL418-403.html";
+
+test("styleFromUrl", () => {
+  assert.equal(
+    styleFromUrl(`https://www.katespadeoutlet.com${PATH}`),
+    "KL418-403",
+  );
+});
+
+describe("extractFromApi (/api/products stand-in)", () => {
+  let server;
+  before(async () => {
+    server = await startFixtureServer((url) =>
+      url.pathname === `/api${PATH}`
+        ? { file: "tapestry/ks_KL418.json" }
+        : null,
+    );
+  });
+  after(() => server.close());
+
+  test("color x size matrix with price and stock", async () => {
+    const p = await extractFromApi(
+      { sku: "KS-1", url: `${server.origin}${PATH}` },
+      { ...DEFAULTS, fetchChain: ["direct"] },
+    );
+
+    assert.equal(p.ok, true);
+    assert.equal(p.source, "api");
+    assert.equal(p.fetch_provider, "direct");
+    assert.equal(p.style, "KL418");
+    assert.equal(p.flatRows.length, 5);
+
+    const variants = toVariants(p);
+    const black6 = variants.find(
+      (v) => v.color_id === "XT6" && v.size_id === "6",
+    );
+    assert.equal(black6.product_id, "KL418");
+    assert.equal(black6.brand, "Kate Spade");
+    assert.equal(black6.variant_id, "KL418 XT6  6   B");
+    assert.equal(black6.color_family, "black");
+    assert.equal(black6.sale_price, 59);
+    assert.equal(black6.list_price, 129);
+    assert.equal(black6.availability, AVAILABILITY.IN_STOCK);
+    assert.equal(black6.cta, CTA.ADD_TO_BAG);
+
+    const pink7 = variants.find(
+      (v) => v.color_id === "650" && v.size_id === "7",
+    );
+    assert.equal(pink7.availability, AVAILABILITY.OUT_OF_STOCK);
+    assert.equal(pink7.cta, CTA.NOTIFY_ME);
+  });
+});
@@ -0,0 +1,208 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import {
+  ctaFrom,
+  extractOneProduct,
+  extractVariationAttributes,
+  pickPrice,
+  storefrontArgs,
+  storefrontFromUrl,
+  toVariants,
+  DEFAULTS,
+} from "../sites/michaelkors.js";
+import { fixture, startFixtureServer } from "./server.js";
+
+const nonCached = JSON.parse(fixture("mk/non_cached_35R6G6AS2Y.json"));
+const inStock = JSON.parse(fixture("mk/variation_35R6G6AS2Y_0001.json"));
+const notifyMe = JSON.parse(fixture("mk/variation_35R6G6AS2Y_0200.json"));
+
+describe("extractVariationAttributes", () => {
+  test("keeps selectable colors with their swatch", () => {
+    const { colors } = extractVariationAttributes(nonCached.product);
+    assert.deepEqual(
+      colors.map((c) => [c.id, c.name]),
+      [
+        ["0001", "Black"],
+        ["0200", "Luggage"],
+      ],
+    );
+    assert.match(colors[0].swatch_url, /35R6G6AS2Y-0001_SW$/);
+    assert.equal(colors[1].swatch_url, null);
+  });
+
+  test("no size attribute -> one NS size", () => {
+    const { sizes, hasSizeAttribute } = extractVariationAttributes(
+      nonCached.product,
+    );
+    assert.equal(hasSizeAttribute, false);
+    assert.deepEqual(sizes, [{ id: "NS", label: "NS", inStockHint: null }]);
+  });
+
+  test("empty product", () => {
+    const { colors, sizes } = extractVariationAttributes({});
+    assert.deepEqual(colors, []);
+    assert.equal(sizes[0].id, "NS");
+  });
+});
+
+describe("ctaFrom", () => {
+  test("available -> ADD_TO_BAG", () => {
+    assert.deepEqual(ctaFrom(inStock.product), {
+      type: "ADD_TO_BAG",
+      label: "Add to Bag",
+      available: true,
+      isNotifyMeActive: false,
+    });
+  });
+
+  test("notify me -> NOTIFY_ME with the sold-out label", () => {
+    const cta = ctaFrom(notifyMe.product);
+    assert.equal(cta.type, "NOTIFY_ME");
+    assert.equal(cta.label, "Notify Me When Available");
+  });
+});
+
+describe("pickPrice", () => {
+  test("sales + list + discount", () => {
+    assert.deepEqual(pickPrice(inStock.product), {
+      sales: 298,
+      sales_formatted: "$298.00",
+      list: 398,
+      list_formatted: "$398.00",
+      discount_percent: 25,
+      currency: "USD",
+    });
+  });
+
+  test("no list price", () => {
+    const p = pickPrice(notifyMe.product);
+    assert.equal(p.list, null);
+    assert.equal(p.sales, 398);
+    assert.equal(p.currency, "USD");
+  });
+
+  test("value missing -> read from formatted", () => {
+    const p = pickPrice({
+      price: {
+        sales: { value: null, formatted: "₹ 24,500.00" },
+        list: { value: null, formatted: "€1.299,00" },
+      },
+    });
+    assert.equal(p.sales, 24500);
+    assert.equal(p.list, 1299);
+    assert.equal(p.currency, "INR");
+  });
+});
+
+describe("storefrontFromUrl", () => {
+  test("US, global country path, regional domain", () => {
+    assert.deepEqual(
+      storefrontFromUrl("https://www.michaelkors.com/marilyn/35R6G6AS2Y.html"),
+      { origin: "https://www.michaelkors.com", site: "mk_us", locale: "en_US" },
+    );
+    assert.deepEqual(
+      storefrontFromUrl(
+        "https://www.michaelkors.global/in/en/jet-set-medium-pebbled-leather-crossbody-bag/32F7GGNM8L.html",
+      ),
+      {
+        origin: "https://www.michaelkors.global",
+        site: "mk_in",
+        locale: "en_IN",
+      },
+    );
+    assert.equal(
+      storefrontFromUrl("https://www.michaelkors.co.uk/x/35R6G6AS2Y.html").site,
+      "mk_uk",
+    );
+    assert.equal(storefrontFromUrl("https://www.michaelkors.global/"), null);
+  });
+
+  test("explicit site / locale win over the url", () => {
+    assert.deepEqual(
+      storefrontArgs("https://www.michaelkors.global/it/it/x/1.html", {
+        site: "mk_eu",
+      }),
+      {
+        origin: "https://www.michaelkors.global",
+        site: "mk_eu",
+        locale: "it_IT",
+      },
+    );
+  });
+});
+
+describe("extractOneProduct (Demandware stand-in)", () => {
+  let server;
+  before(async () => {
+    server = await startFixtureServer((url) => {
+      if (url.pathname.endsWith("/Product-NonCachedAttributes")) {
+        return { file: "mk/non_cached_35R6G6AS2Y.json" };
+      }
+      if (url.pathname.endsWith("/Product-Variation")) {
+        const color = url.searchParams.get("dwvar_35R6G6AS2Y_color");
+        return { file: `mk/variation_35R6G6AS2Y_${color}.json` };
+      }
+      return null;
+    });
+  });
+  after(() => server.close());
+
+  test("walks the color x size matrix", async () => {
+    const product = await extractOneProduct({
+      pid: "35R6G6AS2Y",
+      inputSku: "MK-1",
+      inputUrl: "https://www.michaelkors.com/marilyn/35R6G6AS2Y.html",
+      args: { ...DEFAULTS, origin: server.origin, fetchChain: ["direct"] },
+    });
+
+    assert.equal(product.ok, true);
+    assert.equal(product.fetch_provider, "direct");
+    assert.equal(product.product_name, "Marilyn Medium Woven Satchel");
+    assert.equal(product.flatRows.length, 2);
+    assert.ok(
+      server.hits.some((h) =>
+        h.includes("/Sites-mk_us-Site/en_US/Product-Variation?"),
+      ),
+    );
+
+    const variants = toVariants(product);
+    assert.deepEqual(
+      variants.map((v) => [v.color_id, v.availability, v.sale_price]),
+      [
+        ["0001", "IN_STOCK", 298],
+        ["0200", "OUT_OF_STOCK", 398],
+      ],
+    );
+    assert.equal(variants[0].upc, "196237806172");
+    // no --swatches: family from the color name
+    assert.deepEqual(
+      variants.map((v) => v.color_family),
+      ["black", "brown"],
+    );
+  });
+
+  test("global country url -> its own site id and locale", async () => {
+    server.hits.length = 0;
+    const inputUrl =
+      "https://www.michaelkors.global/in/en/marilyn-medium-woven-satchel/35R6G6AS2Y.html";
+    const product = await extractOneProduct({
+      pid: "35R6G6AS2Y",
+      inputSku: "MK-IN-1",
+      inputUrl,
+      args: {
+        ...DEFAULTS,
+        fetchChain: ["direct"],
+        ...storefrontArgs(inputUrl, { origin: server.origin }),
+      },
+    });
+
+    assert.equal(product.ok, true);
+    assert.equal(product.flatRows.length, 2);
+    assert.ok(server.hits.length > 0);
+    assert.ok(
+      server.hits.every((h) =>
+        h.startsWith("/on/demandware.store/Sites-mk_in-Site/en_IN/"),
+      ),
+    );
+  });
+});
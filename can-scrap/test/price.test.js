@@ -0,0 +1,66 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { parseAmount, parsePrice, toNumber } from "../lib/price.js";
+
+describe("toNumber", () => {
+  test("decimal comma / point and thousands groups", () => {
+    assert.equal(toNumber("1.299,00"), 1299);
+    assert.equal(toNumber("24,500.00"), 24500);
+    assert.equal(toNumber("12,50"), 12.5);
+    assert.equal(toNumber("1 299,00"), 1299);
+    assert.equal(toNumber("1'299.00"), 1299);
+    assert.equal(toNumber("1.299"), 1299);
+    assert.equal(toNumber("1.299", { decimal: "." }), 1.299);
+    assert.equal(toNumber(""), null);
+  });
+});
+
+describe("parsePrice", () => {
+  test("currency symbols and ISO codes", () => {
+    assert.deepEqual(parsePrice("€1.299,00"), {
+      amount: 1299,
+      currency: "EUR",
+      raw: "€1.299,00",
+      was: null,
+      range: null,
+    });
+    assert.equal(parsePrice("1.299,00 €").currency, "EUR");
+    assert.equal(parsePrice("₹ 24,500.00").amount, 24500);
+    assert.equal(parsePrice("Rs. 1,299").currency, "INR");
+    assert.equal(parsePrice("EUR 45").currency, "EUR");
+    assert.equal(parsePrice("C$ 120.00").currency, "CAD");
+  });
+
+  test("$ follows the currency hint of a dollar site", () => {
+    assert.equal(parsePrice("$49").currency, "USD");
+    assert.equal(parsePrice("$49", { currency: "CAD" }).currency, "CAD");
+    assert.equal(parsePrice("63.97", { currency: "USD" }).currency, "USD");
+  });
+
+  test("labels: MSRP, was / now, strikethrough + sale", () => {
+    assert.equal(parseAmount("MSRP: $79"), 79);
+    const wasNow = parsePrice("Was $79 Now $49");
+    assert.equal(wasNow.amount, 49);
+    assert.equal(wasNow.was, 79);
+    assert.equal(parsePrice("Now $49 Was $79").was, 79);
+    assert.equal(parsePrice("Original Price: $100 Sale: $60").amount, 60);
+    const pair = parsePrice("$79.00 $49.00");
+    assert.deepEqual([pair.amount, pair.was], [49, 79]);
+    assert.equal(parseAmount("30% off $49"), 49);
+  });
+
+  test("ranges keep the low end as amount", () => {
+    const r = parsePrice("$49 - $79");
+    assert.equal(r.amount, 49);
+    assert.deepEqual(r.range, [49, 79]);
+    assert.deepEqual(parsePrice("€ 20 to € 35").range, [20, 35]);
+  });
+
+  test("numbers pass through, no number -> null", () => {
+    assert.equal(parseAmount(63.97), 63.97);
+    assert.equal(parseAmount("63.97"), 63.97);
+    assert.equal(parseAmount(""), null);
+    assert.equal(parseAmount(null), null);
+    assert.equal(parseAmount("Sold out"), null);
+  });
+});
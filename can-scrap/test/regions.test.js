@@ -0,0 +1,172 @@
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { describe, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+import { compareRegions, readRates, toBase } from "../lib/regions.js";
+import { AVAILABILITY, makeVariant } from "../lib/variant.js";
+import {
+  productUrl,
+  regionStorefront,
+  storefrontFromUrl,
+} from "../sites/michaelkors.js";
+
+const rates = { USD: 1, GBP: 1.25, INR: 0.012 };
+
+function variant(fields) {
+  return makeVariant({
+    retailer: "michaelkors",
+    product_id: "35R6G6AS2Y",
+    color_id: "0001",
+    size_id: "NS",
+    availability: AVAILABILITY.IN_STOCK,
+    ...fields,
+  });
+}
+
+describe("readRates / toBase", () => {
+  test("reads currency,rate and adds the base", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rates-"));
+    const file = path.join(dir, "rates.csv");
+    fs.writeFileSync(file, "currency,rate\neur,1.08\nINR,0.012\nXXX,\n");
+    assert.deepEqual(readRates(file, "USD"), {
+      USD: 1,
+      EUR: 1.08,
+      INR: 0.012,
+    });
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("converts, null without price or rate", () => {
+    assert.equal(toBase(100, "GBP", rates), 125);
+    assert.equal(toBase(100, "gbp", rates), 125);
+    assert.equal(toBase(null, "GBP", rates), null);
+    assert.equal(toBase(100, "JPY", rates), null);
+  });
+});
+
+describe("compareRegions", () => {
+  test("cheapest region and spread over in-stock regions", () => {
+    const { rows, missingRates } = compareRegions(
+      {
+        us: [variant({ list_price: 398, sale_price: 298, currency: "USD" })],
+        uk: [variant({ list_price: 279, currency: "GBP" })],
+        in: [
+          variant({
+            list_price: 22000,
+            currency: "INR",
+            availability: AVAILABILITY.OUT_OF_STOCK,
+          }),
+        ],
+      },
+      { rates, base: "USD" },
+    );
+
+    assert.deepEqual(missingRates, []);
+    assert.equal(rows.length, 1);
+    const [r] = rows;
+    assert.equal(r.cheapest_region, "us");
+    assert.equal(r.regions_in_stock, "us uk");
+    assert.equal(r.cheapest_price_usd, 298);
+    assert.equal(r.highest_price_usd, 348.75);
+    assert.equal(r.spread_usd, 50.75);
+    assert.equal(r.spread_pct, 17);
+    assert.equal(r.in_price_usd, 264);
+    assert.equal(r.in_availability, AVAILABILITY.OUT_OF_STOCK);
+  });
+
+  test("variant missing in a region, currency without rate", () => {
+    const { rows, missingRates } = compareRegions(
+      {
+        us: [variant({ list_price: 100, currency: "USD" })],
+        ae: [
+          variant({ list_price: 400, currency: "AED" }),
+          variant({ color_id: "0200", list_price: 420, currency: "AED" }),
+        ],
+      },
+      { rates, base: "USD" },
+    );
+
+    assert.deepEqual(missingRates, ["AED"]);
+    const luggage = rows.find((r) => r.color_id === "0200");
+    assert.equal(luggage.us_price, null);
+    assert.equal(luggage.ae_price, 420);
+    assert.equal(luggage.ae_price_usd, null);
+    assert.equal(luggage.cheapest_region, null);
+    assert.equal(luggage.spread_pct, null);
+    const black = rows.find((r) => r.color_id === "0001");
+    assert.equal(black.cheapest_region, "us");
+    assert.equal(black.spread_usd, null);
+  });
+});
+
+describe("regionStorefront", () => {
+  test("own domains and michaelkors.global countries", () => {
+    assert.deepEqual(regionStorefront("uk"), {
+      origin: "https://www.michaelkors.co.uk",
+      site: "mk_uk",
+      locale: "en_GB",
+    });
+    assert.deepEqual(regionStorefront("IN"), {
+      origin: "https://www.michaelkors.global",
+      site: "mk_in",
+      locale: "en_IN",
+    });
+    assert.equal(regionStorefront("usa"), null);
+  });
+
+  test("productUrl leads back to the same storefront", () => {
+    for (const region of ["us", "uk", "in", "ae"]) {
+      const sf = regionStorefront(region);
+      assert.deepEqual(storefrontFromUrl(productUrl("35R6G6AS2Y", sf)), sf);
+    }
+    assert.equal(
+      productUrl("35R6G6AS2Y", regionStorefront("in")),
+      "https://www.michaelkors.global/in/en/35R6G6AS2Y.html",
+    );
+  });
+});
+
+describe("mk_region_report.js (empty replay cassette)", () => {
+  const root = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+  test("default regions resolve, a bad input url fails only its rows", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "regions-"));
+    const inFile = path.join(dir, "in.csv");
+    fs.writeFileSync(
+      inFile,
+      "url\nhttps://www.michaelkors.com/x/35R6G6AS2Y.html\nhttps://bad host/x/35R6G6AS2Z.html\n",
+    );
+    fs.mkdirSync(path.join(dir, "cassette"));
+
+    // nothing recorded: every Demandware call is a NOT_RECORDED row, exit 1
+    const run = promisify(execFile)(
+      process.execPath,
+      [
+        "mk_region_report.js",
+        ...["--in", inFile, "--out", dir, "--rates", "rates.example.csv"],
+        ...["--replay", path.join(dir, "cassette"), "--retries", "0"],
+      ],
+      { cwd: root, timeout: 60000 },
+    );
+    await assert.rejects(run, (e) => e.code === 1);
+
+    const report = JSON.parse(
+      fs.readFileSync(path.join(dir, "mk_regions.json"), "utf-8"),
+    );
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    assert.deepEqual(report.regions, ["us", "uk", "in"]);
+    const failed = Object.fromEntries(
+      report.failed.map((f) => [`${f.pid} ${f.region}`, f.error]),
+    );
+    assert.match(failed["35R6G6AS2Y in"], /Sites-mk_in-Site\/en_IN\//);
+    assert.match(failed["35R6G6AS2Y uk"], /Sites-mk_uk-Site\/en_GB\//);
+    for (const region of report.regions) {
+      assert.match(failed[`35R6G6AS2Z ${region}`], /^Invalid input url/);
+    }
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Local stand-in for the retailer sites: serves captured HTML / recorded
+ * JSON from test/fixtures so the extractors run without network.
+ *
+ *   const server = await startFixtureServer((url) => ({ file: "6pm/x.html" }));
+ *   server.origin  -> "http://127.0.0.1:<port>"
+ *   server.hits    -> every path + query requested, in order
+ *
+ * `route(url)` gets the request URL and returns { file | body, status,
+ * type } or null (404).
+ */
+
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { fileURLToPath } from "url";
+
+export const FIXTURES = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "fixtures",
+);
+
+export function fixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), "utf-8");
+}
+
+function typeOf(file) {
+  return file.endsWith(".json")
+    ? "application/json"
+    : "text/html; charset=utf-8";
+}
+
+export async function startFixtureServer(route) {
+  const hits = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://127.0.0.1");
+    hits.push(url.pathname + url.search);
+
+    const r = route(url);
+    if (!r) {
+      res.writeHead(404, { "content-type": "text/html" });
+      res.end("<html><title>404 Page Not Found</title></html>");
+      return;
+    }
+    const body = r.body ?? fs.readFileSync(path.join(FIXTURES, r.file));
+    res.writeHead(r.status || 200, {
+      "content-type": r.type || typeOf(r.file || ""),
+    });
+    res.end(body);
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    origin: `http://127.0.0.1:${server.address().port}`,
+    hits,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+/**
+ * Chromium for the Playwright tests, or null when it is not installed
+ * (`npx playwright install chromium`) so those tests are skipped.
+ */
+export async function launchTestBrowser() {
+  const { launchBrowser } = await import("../lib/browser.js");
+  return launchBrowser().catch(() => null);
+}
@@ -0,0 +1,123 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+  SIZE_SYSTEM,
+  cleanSizeLabel,
+  normalizeSize,
+  sizeCategory,
+} from "../lib/size.js";
+import { makeVariant } from "../lib/variant.js";
+
+const norm = (label, opts) => {
+  const { size_system, size_norm } = normalizeSize(label, opts);
+  return [size_system, size_norm];
+};
+
+describe("cleanSizeLabel", () => {
+  test("drops availability suffixes and the Size: prefix", () => {
+    assert.equal(cleanSizeLabel("XS (Unavailable)"), "XS");
+    assert.equal(cleanSizeLabel("Size: 7 1/2  B(M)"), "7 1/2 B(M)");
+    assert.equal(cleanSizeLabel("M - Sold out"), "M");
+    assert.equal(cleanSizeLabel(null), "");
+  });
+});
+
+describe("normalizeSize", () => {
+  test("one-size spellings", () => {
+    for (const l of ["NS", "One Size", "O/S", "Taglia unica", "TU"]) {
+      assert.deepEqual(norm(l), [SIZE_SYSTEM.ONE_SIZE, "OS"], l);
+    }
+  });
+
+  test("apparel letters", () => {
+    assert.deepEqual(norm("2XL"), [SIZE_SYSTEM.LETTER, "XXL"]);
+    assert.deepEqual(norm("Small"), [SIZE_SYSTEM.LETTER, "S"]);
+    assert.deepEqual(norm("M (8-10)"), [SIZE_SYSTEM.LETTER, "M"]);
+    assert.deepEqual(norm("XS/S"), [SIZE_SYSTEM.LETTER, "XS/S"]);
+  });
+
+  test("US shoes with width", () => {
+    const shoes = { category: "shoes" };
+    assert.deepEqual(norm("7.5 Wide", shoes), [SIZE_SYSTEM.US_SHOE, "7.5 W"]);
+    assert.deepEqual(norm("7 1/2 B(M)", shoes), [SIZE_SYSTEM.US_SHOE, "7.5"]);
+    assert.deepEqual(norm("8 2E", shoes), [SIZE_SYSTEM.US_SHOE, "8 W"]);
+    assert.deepEqual(norm("10 4E", shoes), [SIZE_SYSTEM.US_SHOE, "10 W"]);
+    assert.deepEqual(norm("9 EE", shoes), [SIZE_SYSTEM.US_SHOE, "9 W"]);
+    assert.deepEqual(norm("8", { productName: "Leather Pump" }), [
+      SIZE_SYSTEM.US_SHOE,
+      "8",
+    ]);
+  });
+
+  test("IT / EU sizes through the charts", () => {
+    const it = { from: "IT" };
+    assert.deepEqual(norm("38", { ...it, productName: "Sandali in pelle" }), [
+      SIZE_SYSTEM.US_SHOE,
+      "8",
+    ]);
+    assert.deepEqual(norm("38,5", { ...it, category: "shoes" }), [
+      SIZE_SYSTEM.US_SHOE,
+      "8.5",
+    ]);
+    assert.deepEqual(norm("42", { ...it, productName: "Men's Oxford Shoes" }), [
+      SIZE_SYSTEM.US_SHOE,
+      "9",
+    ]);
+    assert.deepEqual(norm("38", { ...it, productName: "Abito in seta" }), [
+      SIZE_SYSTEM.LETTER,
+      "XS",
+    ]);
+    assert.deepEqual(norm("IT 42", { category: "apparel" }), [
+      SIZE_SYSTEM.LETTER,
+      "M",
+    ]);
+  });
+
+  test("unplaceable sizes keep their system, no guess", () => {
+    assert.deepEqual(norm("8"), ["US", "8"]);
+    assert.deepEqual(norm("EU 39"), ["EU", "39"]);
+    assert.deepEqual(norm("W30 L32"), [null, "W30 L32"]);
+    assert.deepEqual(norm("30x32", { productName: "Levis 501 Original" }), [
+      "US",
+      "30x32",
+    ]);
+    assert.deepEqual(norm("32 Regular", { productName: "Slim Chino" }), [
+      "US",
+      "32 Regular",
+    ]);
+    assert.deepEqual(norm("10.5", { productName: "Tote Bag" }), ["US", "10.5"]);
+    assert.deepEqual(norm("8 2E"), ["US", "8 2E"]);
+    assert.deepEqual(norm("38,5", { from: "IT" }), ["IT", "38,5"]);
+    assert.deepEqual(norm(""), [null, null]);
+  });
+
+  test("sizeCategory from the product name", () => {
+    assert.equal(sizeCategory("Marilyn Medium Saffiano Leather Tote"), null);
+    assert.equal(sizeCategory("Cleo Leather Sneaker"), "shoes");
+    assert.equal(sizeCategory("Logo Print Shirt Dress"), "apparel");
+  });
+});
+
+describe("makeVariant sizes", () => {
+  test("derived from size_label, size_from hint not stored", () => {
+    const v = makeVariant({
+      retailer: "stockfirmati",
+      product_name: "Sandali in pelle",
+      size_label: "37",
+      size_from: "IT",
+    });
+    assert.equal(v.size_label, "37");
+    assert.equal(v.size_system, SIZE_SYSTEM.US_SHOE);
+    assert.equal(v.size_norm, "7");
+    assert.equal("size_from" in v, false);
+  });
+
+  test("adapter-set values win", () => {
+    const v = makeVariant({
+      size_label: "M",
+      size_norm: "M",
+      size_system: "X",
+    });
+    assert.equal(v.size_system, "X");
+  });
+});
@@ -0,0 +1,146 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import {
+  isNotAvailable,
+  parseEuro,
+  parseProductUrl,
+  scrapeOne,
+  toVariants,
+} from "../sites/stockfirmati.js";
+import { launchTestBrowser, startFixtureServer } from "./server.js";
+
+const browser = await launchTestBrowser();
+const skip = !browser && "chromium not installed";
+
+describe("stockfirmati parsers", () => {
+  test("parseEuro reads the Italian number format", () => {
+    assert.equal(parseEuro("1.299,00 €"), 1299);
+    assert.equal(parseEuro("12,50"), 12.5);
+    assert.equal(parseEuro("€ 8"), 8);
+    assert.equal(parseEuro(""), null);
+  });
+
+  test("isNotAvailable", () => {
+    assert.equal(isNotAvailable("Currently Not Available"), true);
+    assert.equal(isNotAvailable("Non disponibile"), true);
+    assert.equal(isNotAvailable("12 pz"), false);
+  });
+
+  test("parseProductUrl", () => {
+    assert.deepEqual(
+      parseProductUrl(
+        "https://www.stockfirmati.com/d/34745/valentino-bags/bags/donna/valentino-bags-borsa-donna-rosa",
+      ),
+      {
+        product_id: "34745",
+        brand: "valentino-bags",
+        category: "bags",
+        gender: "donna",
+        color: "rosa",
+      },
+    );
+    assert.equal(
+      parseProductUrl("https://www.stockfirmati.com/bags-and-accessories")
+        .product_id,
+      null,
+    );
+  });
+});
+
+describe("stockfirmati toVariants", () => {
+  // flat rows as extract() builds them: scrapeOne() fields + one size row
+  const product = (url, product_name, sizes) => ({
+    extracted_at: "2026-01-01T00:00:00.000Z",
+    flatRows: sizes.map((size) => ({
+      input_sku: "SF-1",
+      input_url: url,
+      ...parseProductUrl(url),
+      product_name,
+      size,
+      quantity: 3,
+      price: 39.9,
+      not_available: false,
+      error: "",
+    })),
+  });
+
+  test("IT shoe sizes, category and gender from the url", () => {
+    const variants = toVariants(
+      product(
+        "https://www.stockfirmati.com/d/26001/calvin-klein/scarpe/uomo/calvin-klein-uomo-nero",
+        "Calvin Klein uomo nero",
+        ["42", "44"],
+      ),
+    );
+    assert.deepEqual(
+      variants.map((v) => [v.size_label, v.size_system, v.size_norm]),
+      [
+        ["42", "US_SHOE", "9"],
+        ["44", "US_SHOE", "11"],
+      ],
+    );
+    assert.equal(variants[0].currency, "EUR");
+  });
+
+  test("IT apparel and one-size labels", () => {
+    const [shirt] = toVariants(
+      product(
+        "https://www.stockfirmati.com/d/31002/guess/abbigliamento/donna/guess-camicia-donna-bianco",
+        "Guess camicia donna bianco",
+        ["42"],
+      ),
+    );
+    assert.deepEqual([shirt.size_system, shirt.size_norm], ["LETTER", "M"]);
+
+    const [bag] = toVariants(
+      product(
+        "https://www.stockfirmati.com/d/34745/valentino-bags/bags/donna/valentino-bags-borsa-donna-rosa",
+        "Valentino Bags borsa donna rosa",
+        ["TU"],
+      ),
+    );
+    assert.deepEqual([bag.size_system, bag.size_norm], ["ONE_SIZE", "OS"]);
+  });
+});
+
+describe("stockfirmati PDP (captured page)", { skip }, () => {
+  let server;
+  before(async () => {
+    server = await startFixtureServer((url) =>
+      url.pathname.startsWith("/d/19037/")
+        ? { file: "stockfirmati/pdp_19037.html" }
+        : null,
+    );
+  });
+  after(async () => {
+    await server.close();
+    await browser.close();
+  });
+
+  test("size table -> one row per size", async () => {
+    const page = await browser.newPage();
+    const url = `${server.origin}/d/19037/calvin-klein/bags/uomo/calvin-klein-marsupio-uomo-nero`;
+    const product = await scrapeOne(page, url);
+    await page.close();
+
+    assert.equal(product.product_id, "19037");
+    assert.equal(product.product_name, "Calvin Klein - Marsupio Uomo Nero");
+    assert.deepEqual(
+      product.sizes.map((s) => [s.size, s.quantity, s.price, s.not_available]),
+      [
+        ["S", 12, 1299, false],
+        ["M", 0, 12.5, true],
+        ["L", 3, 12.5, false],
+      ],
+    );
+  });
+
+  test("missing page -> SOFT_404", async () => {
+    const page = await browser.newPage();
+    await assert.rejects(
+      scrapeOne(page, `${server.origin}/d/1/x/y/uomo/gone`),
+      (e) => e.reason === "SOFT_404",
+    );
+    await page.close();
+  });
+});
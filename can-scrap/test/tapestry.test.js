@@ -0,0 +1,201 @@
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+import { readCSVRows } from "../lib/csv.js";
+import {
+  apiUrlFor,
+  parseFrp,
+  parseProduct,
+  parseStores,
+  storesUrl,
+} from "../sites/tapestry.js";
+import { fixture, startFixtureServer } from "./server.js";
+
+// tapestry/*.json follow the SFCC product model the parsers read; they are
+// written by hand, not captured (swap in a `ks_matrix.js --record` body)
+const ks = JSON.parse(fixture("tapestry/ks_KL418.json"));
+const stores = JSON.parse(fixture("tapestry/ks_stores_10001.json"));
+const SKU = "KL418 XT6  6   B";
+
+describe("tapestry urls", () => {
+  test("apiUrlFor", () => {
+    assert.equal(
+      apiUrlFor(
+        "https://www.katespadeoutlet.com/products/kendall-jelly-t-strap-sandal/KL418-403.html",
+      ),
+      "https://www.katespadeoutlet.com/api/products/kendall-jelly-t-strap-sandal/KL418-403.html",
+    );
+    assert.throws(() => apiUrlFor("https://www.katespadeoutlet.com/shop"));
+  });
+
+  test("parseFrp", () => {
+    const frp = parseFrp(
+      "https://www.coachoutlet.com/products/turner-flap-crossbody-bag/CCQ52.html?frp=CCQ52+QBOLV",
+    );
+    assert.deepEqual(
+      { style: frp.style, color: frp.color, size: frp.size },
+      { style: "CCQ52", color: "QBOLV", size: null },
+    );
+    assert.equal(parseFrp("https://www.coachoutlet.com/x/CCQ52.html"), null);
+  });
+});
+
+describe("parseProduct (Kate Spade)", () => {
+  const p = parseProduct(ks);
+
+  test("style, name, colors and sizes", () => {
+    assert.equal(p.style, "KL418");
+    assert.equal(p.productName, "Kendall Jelly T-Strap Sandal");
+    assert.equal(p.brand, "Kate Spade");
+    assert.equal(p.hasSizeAttribute, true);
+    assert.deepEqual(
+      p.colors.map((c) => [c.id, c.name]),
+      [
+        ["XT6", "Black"],
+        ["650", "Pink Cloud"],
+      ],
+    );
+    assert.deepEqual(
+      p.sizes.map((s) => s.id),
+      ["5", "6", "7"],
+    );
+  });
+
+  test("one row per offered variant", () => {
+    // 650 / 5 has no variant: not offered, no row
+    assert.equal(p.rows.length, 5);
+    const row = p.rows.find((r) => r.color_id === "XT6" && r.size_id === "6");
+    assert.deepEqual(
+      {
+        variant_id: row.variant_id,
+        upc: row.upc,
+        sale_price: row.sale_price,
+        list_price: row.list_price,
+        currency: row.currency,
+        orderable: row.orderable,
+      },
+      {
+        variant_id: "KL418 XT6  6   B",
+        upc: "196021000068",
+        sale_price: 59,
+        list_price: 129,
+        currency: "USD",
+        orderable: true,
+      },
+    );
+    const sold = p.rows.find((r) => r.color_id === "650" && r.size_id === "7");
+    assert.equal(sold.orderable, false);
+    assert.equal(sold.sale_price, 49);
+  });
+
+  test("other spellings of the same fields", () => {
+    const p = parseProduct({
+      pageData: {
+        product: {
+          masterId: "CCQ52",
+          name: "Turner Flap Crossbody Bag",
+          prices: { sale: 119, list: 398, currency: "USD" },
+          variationAttributes: [
+            { id: "color", values: [{ id: "QBOLV", name: "Gold/Olive" }] },
+          ],
+          variants: [
+            {
+              productId: "CCQ52 QBOLV",
+              attributes: { color: "QBOLV" },
+              availability: { orderable: true },
+            },
+          ],
+        },
+      },
+    });
+    assert.equal(p.style, "CCQ52");
+    assert.equal(p.productName, "Turner Flap Crossbody Bag");
+    assert.deepEqual(
+      p.rows.map((r) => [r.variant_id, r.sale_price, r.orderable]),
+      [["CCQ52 QBOLV", 119, true]],
+    );
+  });
+
+  test("no product in the JSON -> no colors", () => {
+    assert.deepEqual(parseProduct({}).colors, []);
+  });
+});
+
+describe("store inventory", () => {
+  test("storesUrl pads the sku the way the site does", () => {
+    assert.equal(
+      storesUrl("https://www.katespadeoutlet.com", {
+        variantSku: SKU,
+        zipCode: "110043",
+      }),
+      "https://www.katespadeoutlet.com/api/stores/get-stores?products=KL418+XT6++6+++B&zipCode=110043&startFrom=0",
+    );
+  });
+
+  test("parseStores", () => {
+    const [woodbury, jersey] = parseStores(stores);
+    assert.deepEqual(woodbury, {
+      store_id: "5421",
+      store_name: "Kate Spade New York Outlet - Woodbury Common",
+      address: "498 Red Apple Court",
+      city: "Central Valley",
+      state: "NY",
+      postal_code: "10917",
+      phone: "(845) 928-4260",
+      distance: "48.2",
+      distance_unit: "mi",
+      pickup_available: true,
+      stock_status: "IN_STOCK",
+    });
+    assert.equal(jersey.pickup_available, false);
+    assert.deepEqual(parseStores({}), []);
+  });
+});
+
+describe("store_inventory.js (get-stores stand-in)", () => {
+  const root = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), "stores-"));
+  let server;
+  before(async () => {
+    server = await startFixtureServer((url) =>
+      url.pathname === "/api/stores/get-stores" &&
+      url.searchParams.get("products") === SKU &&
+      url.searchParams.get("zipCode") === "10001"
+        ? { file: "tapestry/ks_stores_10001.json" }
+        : null,
+    );
+  });
+  after(async () => {
+    await server.close();
+    fs.rmSync(outDir, { recursive: true, force: true });
+  });
+
+  test("one row per store, failed queries as error rows", async () => {
+    await promisify(execFile)(
+      process.execPath,
+      [
+        "store_inventory.js",
+        ...["--retailer", "katespadeoutlet", "--sku", SKU],
+        ...["--zip", "10001,99999", "--origin", server.origin],
+        ...["--out", outDir, "--chain", "direct", "--retries", "0"],
+      ],
+      { cwd: root, timeout: 60000 },
+    );
+
+    const rows = readCSVRows(path.join(outDir, "katespadeoutlet_stores.csv"));
+    assert.deepEqual(
+      rows.map((r) => [r.zip_code, r.store_id, r.pickup_available]),
+      [
+        ["10001", "5421", "true"],
+        ["10001", "5310", "false"],
+        ["99999", "", ""],
+      ],
+    );
+    assert.ok(rows[2].error);
+  });
+});
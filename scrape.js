@@ -1,3 +1,5 @@
+// Original stockfirmati script, kept as is. The maintained extractor is
+// can-scrap/sites/stockfirmati.js, run through can-scrap/scrape.js.
 const { chromium } = require("playwright");
 
 const URLS = [